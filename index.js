@@ -1,53 +1,58 @@
 import { readFileSync, writeFileSync, mkdirSync, unlinkSync } from "fs";
 import { Octokit } from "@octokit/rest";
-import pkg from './package.json' assert { type: 'json' };
 import dotenv from 'dotenv';
-import winston from 'winston';
+import logger, { useQuietLogging, configureLogging, setRedactedSecrets, withCorrelationId, flushLogs } from './src/logger.js';
+import { parseSourceList, fetchAllSources, fetchSourceCodes } from './src/sources.js';
+import { isExpired, legacyProcessedCodes } from './src/codeList.js';
+import { loadConfig, applyConfig, watchConfigFile, collectSecrets } from './src/config.js';
+import { loadClaimQueue, saveClaimQueue, syncClaimQueue, removeFromClaimQueue, isClaimingPaused, pauseClaiming, resetBackoff } from './src/claimQueue.js';
+import { FatalError, isFatalError, describeError, withRetry } from './src/resilience.js';
+import { loadLedger, saveLedger, getPendingBots, isLicenseComplete, recordLicenseResult, markLicensesProcessed, removeLicense, listLicenses, isFailedStatus } from './src/ledger.js';
+import { startApiServer } from './src/api.js';
+import { createASFClient } from './src/asfClient.js';
+import { getQuietHoursEnd, isQuietTime, getNextRunTime, applyJitter, loadScheduleState, saveScheduleState, runAt } from './src/scheduler.js';
+import { loadMetadataCache, getAppMetadata, getSubApps, getCachedLicenseInfo } from './src/storeMetadata.js';
+import { evaluateFilterRules } from './src/filters.js';
+import { parseLicenseId, describeApp, groupResultsByStatus, formatNotification } from './src/notifier.js';
+import { configureStorage, acquireStorageLock } from './src/storage.js';
+import { appendHistory, createHistoryEntries, readHistory, summarizeHistory } from './src/history.js';
+import { createCounter, createGauge, createHistogram, renderMetrics } from './src/metrics.js';
+import { configureWebhookQueue, sendWebhook, redeliverDeadLetters, getWebhookQueueStats, drainWebhookQueue } from './src/webhookQueue.js';
+import { startGistWatcher } from './src/gistWatcher.js';
+import { CLI_USAGE, parseCliArgs, selectInstances, formatLicenseList, normalizeCliCodes, markCodes, unmarkCodes, importLicenses, exportLicenses } from './src/cli.js';
+
+// Read rather than imported, JSON import assertions are deprecated and not every runtime supports the newer attributes
+const pkg = JSON.parse(readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+
+// Command from the command line, claiming on the schedule if none is given
+let cli;
+try {
+  cli = parseCliArgs(process.argv.slice(2));
+} catch (err) {
+  logger.error("❌ " + err.message);
+  console.error(CLI_USAGE);
+  process.exit(1);
+}
+if (cli.command === "help") {
+  console.log(CLI_USAGE);
+  process.exit(0);
+}
+if (cli.command !== "run") {
+  // The commands print their results, only problems are logged
+  useQuietLogging();
+}
 
 // Load environment variables from .env file if it exists
-dotenv.config();
-
-// Set up winston logger with console output and clean formatting
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.printf(({ level, message, timestamp }) => {
-      const date = new Date(timestamp).toLocaleDateString('en-US');
-      const time = new Date(timestamp).toLocaleTimeString('en-US', {
-        hour12: true,
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-      });
-      return `[${date}, ${time}] [${level.toUpperCase()}] ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.colorize({ level: true }),
-      handleExceptions: true,
-      handleRejections: true
-    })
-  ]
-});
+dotenv.config({ quiet: cli.command !== "run" });
 
-// Configuration object containing all environment variables with defaults
-const config = {
-  protocol: process.env.ASF_PROTOCOL ? process.env.ASF_PROTOCOL : "http",
-  host: process.env.ASF_HOST ? process.env.ASF_HOST : "localhost",
-  port: process.env.ASF_PORT ? process.env.ASF_PORT : "1242",
-  pass: process.env.ASF_PASS ? process.env.ASF_PASS : "",
-  prefix: process.env.ASF_COMMAND_PREFIX ? process.env.ASF_COMMAND_PREFIX : "!",
-  bots: process.env.ASF_BOTS ? process.env.ASF_BOTS : "asf",
-  interval: process.env.ASF_CLAIM_INTERVAL ? process.env.ASF_CLAIM_INTERVAL : "3",
-  gistId: process.env.GIST_ID ? process.env.GIST_ID : "e8c5cf365d816f2640242bf01d8d3675",
-  webhookUrl: process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL : "none",
-  webhookEnabledTypes: process.env.WEBHOOK_ENABLEDTYPES ? process.env.WEBHOOK_ENABLEDTYPES : "error;warn;success",
-  webhookShowAccountStatus: process.env.WEBHOOK_SHOWACCOUNTSTATUS ? process.env.WEBHOOK_SHOWACCOUNTSTATUS : "true",
-  githubToken: process.env.GITHUB_TOKEN ? process.env.GITHUB_TOKEN : ""
-};
+// Configuration from environment variables and the optional config file, validated against the schema
+let config;
+try {
+  config = loadConfig(process.env, process.env.CONFIG_FILE);
+} catch (err) {
+  logger.error("❌ " + err.message);
+  process.exit(1);
+}
 
 // Initialize Octokit with user-agent and optional auth
 const octokit = new Octokit({
@@ -55,357 +60,1315 @@ const octokit = new Octokit({
   ...(config.githubToken && { auth: config.githubToken })
 });
 
+// Prometheus metrics, served by the HTTP API on GET /metrics
+const metrics = {
+  claims: createCounter("asfclaim_claims_total", "addlicense attempts per bot and result status"),
+  claimsSucceeded: createCounter("asfclaim_claims_succeeded_total", "addlicense attempts that added the license or found it already owned, per bot"),
+  rateLimitHits: createCounter("asfclaim_rate_limit_hits_total", "Claims that hit Steam's rate limit"),
+  sourceFetchSeconds: createHistogram("asfclaim_source_fetch_duration_seconds", "Time to fetch a package source, including retries"),
+  sourceFetchErrors: createCounter("asfclaim_source_fetch_errors_total", "Package source fetches that failed after retrying"),
+  asfRequestSeconds: createHistogram("asfclaim_asf_request_duration_seconds", "ASF IPC request latency per endpoint"),
+  asfRequestErrors: createCounter("asfclaim_asf_request_errors_total", "Failed ASF IPC requests per endpoint"),
+  webhookQueueDepth: createGauge("asfclaim_webhook_queue_depth", "Notifications waiting in the webhook queue"),
+  webhookFailures: createCounter("asfclaim_webhook_failures_total", "Notifications that could not be delivered, per host"),
+  webhookDeadLetters: createGauge("asfclaim_webhook_dead_letters", "Undelivered notifications kept for redelivery on the next start"),
+  lastSuccessfulRun: createGauge("asfclaim_last_successful_run_timestamp_seconds", "Time the last run finished without errors"),
+  processedLicenses: createGauge("asfclaim_processed_licenses", "Licenses in processedLicenses with a final result for every bot"),
+  pendingLicenses: createGauge("asfclaim_pending_licenses", "Licenses in the claim queue")
+};
+
+// Commands that only read the storage can run next to the running service, like a dry run
+const readOnly = (cli.command === "run" && config.dryRun === "true") || ["list", "export", "check"].includes(cli.command);
+
+// Storage paths for persistent data
+let storageDirectory = "./storage/";
+let migrationFile = storageDirectory + "lastlength";
+let storeMetadataFile = storageDirectory + "storeMetadata";
+let scheduleFile = storageDirectory + "schedule";
+let historyFile = storageDirectory + "claimHistory.jsonl";
+let webhookDeadLetterFile = storageDirectory + "webhookDeadLetters";
+let gistWatchFile = storageDirectory + "gistWatch";
+let logFile = storageDirectory + "asfclaim.log";
+
+// Log level, format and file from the LOG_* settings, with the secrets of the config redacted
+applyLoggingConfig();
+if (!config.githubToken && cli.command === "run") {
+  logger.warn("⚠️  GITHUB_TOKEN is not set. You may hit rate limits. Set it for better reliability.");
+}
+
+for (const instance of config.asfInstances) {
+  logger.info((instance.name ? instance.name + " " : "") + "target = " + instance.protocol + "://" + instance.host + ":" + instance.port);
+}
+
+// Create storage directory if it doesn't exist, a dry run and the read-only commands only read what is there
+if (!readOnly) {
+  try {
+    mkdirSync(storageDirectory, { recursive: true });
+  } catch (err) {
+    if (err.code !== "EEXIST") {
+      logger.error("Error creating storage directory:", err);
+      process.exit(1);
+    }
+  }
+
+  // Only one instance may write to the storage directory, the lock is released on exit
+  try {
+    acquireStorageLock(storageDirectory);
+  } catch (err) {
+    logger.error("❌ " + err.message);
+    process.exit(1);
+  }
+  // Until the state is loaded there is nothing to finish, afterwards shutdown() takes over
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, exitOnSignal);
+  }
+}
+configureStorage({ backups: Number(config.storageBackups) });
+configureWebhookQueue(webhookQueueOptions());
+
+// Notifications a webhook outage kept from being delivered go out first
+if (cli.command === "run") {
+  const redelivered = redeliverDeadLetters();
+  if (redelivered > 0) {
+    logger.info(`Redelivering ${redelivered} notification(s) that couldn't be sent before.`);
+  }
+}
+
+// Every ASF instance keeps its own ledger and claim queue, named instances store them in suffixed files
+const instances = config.asfInstances.map(settings => {
+  const suffix = settings.name ? "-" + settings.name : "";
+  return {
+    ...settings,
+    client: createInstanceClient(settings), // Uses the structured bot endpoints when the ASF version has them
+    ledgerFile: storageDirectory + "processedLicenses" + suffix,
+    queueFile: storageDirectory + "claimQueue" + suffix,
+    ledger: null,
+    queue: null,
+    ready: false,
+    connected: false, // Whether the last connection check reached ASF
+    readyBots: [],
+    skippedBots: [], // Bots that weren't ready at the last check, claimed in a later run
+    unknownBots: [], // Configured bots ASF doesn't know, not claimed for until the bots are checked again
+    botStatus: {}, // Status of each bot at the last check, so a bot that stays offline is only reported once
+    claiming: false,
+    resumeTimer: null
+  };
+});
+
+// Load the per-bot claim ledgers, migrating the old flat list if needed
+for (const instance of instances) {
+  try {
+    instance.ledger = loadLedger(instance.ledgerFile, { readOnly });
+  } catch (err) {
+    logger.error("Error loading processed licenses:", err);
+    process.exit(1);
+  }
+}
+
+// Migrate the old `lastlength` file, a dry run leaves it for the real run
+if (!readOnly) {
+  try {
+    const lastLength = parseInt(readFileSync(migrationFile, "utf8").trim(), 10);
+    if (!isNaN(lastLength)) {
+      try {
+        let entries = await fetchSourceCodes(parseSourceList("gist:" + config.gistId)[0], { octokit });
+
+        let migratedLicenses = legacyProcessedCodes(entries, lastLength);
+        for (const instance of instances) {
+          markLicensesProcessed(instance.ledger, migratedLicenses);
+          saveProcessedLicenses(instance);
+        }
+      } catch (err) {
+        logger.warn("⚠️  Migration failed - could not fetch Gist for migration. Skipping...");
+        if (err.status === 401) {
+          logger.warn("GitHub authentication required for migration. This is normal if running for the first time.");
+        }
+      }
+
+      unlinkSync(migrationFile);
+    }
+  } catch {
+    // Silently skip the migration if `lastlength` doesn't exist or is invalid
+  }
+}
+
 /**
- * Validates required configuration parameters and exits if invalid
+ * Saves the per-bot claim ledger of an ASF instance to disk
+ * @param {object} instance - ASF instance
  */
-function validateConfig() {
-  if (!config.githubToken) {
-    logger.warn("⚠️  GITHUB_TOKEN is not set. You may hit rate limits. Set it for better reliability.");
+function saveProcessedLicenses(instance) {
+  saveLedger(instance.ledgerFile, instance.ledger);
+}
+
+// Load cached Store metadata used to enrich notifications
+loadMetadataCache(storeMetadataFile, {
+  ttlHours: Number(config.storeCacheTtl),
+  onWarn: msg => sendHookAsync("warn", msg),
+  readOnly
+});
+
+// Load the claim queues so a rate-limited batch resumes where it stopped
+for (const instance of instances) {
+  instance.queue = loadClaimQueue(instance.queueFile, { readOnly });
+}
+
+// Errors handled by handleRunError(), a run without new ones counts as successful
+let runErrorCount = 0;
+
+// Persisted schedule, so the next run survives restarts instead of drifting
+const scheduleState = loadScheduleState(scheduleFile, { readOnly });
+let nextRunTimer = null;
+
+// Polls the gist sources between the scheduled runs, null if disabled
+let gistWatcher = null;
+
+// HTTP API server, null if disabled
+let apiServer = null;
+
+// Set once SIGINT or SIGTERM was received, no new runs or claims start after that
+let shuttingDown = false;
+
+// True until the ASF instances were checked on startup, a shutdown waits for that (`run --once` skips the check)
+let startingUp = !cli.once;
+
+// Expiry dates and tags of the codes seen in the package sources, kept when a source fails to load
+const codeAnnotations = new Map();
+
+// State of the scheduled runs, reported by the HTTP API
+const runState = {
+  running: false,
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  lastSuccessfulRunAt: null,
+  nextRunAt: null
+};
+
+// From here on a signal lets the work in progress finish, see shutdown()
+if (!readOnly) {
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.off(signal, exitOnSignal);
+    process.on(signal, () => shutdown(signal));
   }
-  if (isNaN(Number(config.interval)) || Number(config.interval) <= 0) {
-    logger.error("❌ ASF_CLAIM_INTERVAL must be a positive number.");
+}
+
+// The other commands work on the loaded state and exit
+if (cli.command !== "run") {
+  try {
+    process.exit(await runCliCommand(cli));
+  } catch (err) {
+    logger.error("❌ " + describeError(err));
     process.exit(1);
   }
 }
 
-validateConfig();
+if (config.dryRun === "true") {
+  logger.info("Dry run: planning the next run without claiming or writing to storage...");
+  try {
+    printClaimPlan(await planClaims(config.dryRunResolveNames === "true"));
+    process.exit(0);
+  } catch (err) {
+    logger.error(`❌ Dry run failed: ${describeError(err)}`);
+    process.exit(1);
+  }
+}
+
+// A single pass for cron jobs, without the startup notifications, the HTTP API and the schedule
+if (cli.once) {
+  const quietEnd = getQuietHoursEnd(config.quietHoursRange);
+  if (quietEnd) {
+    logger.info(`Quiet hours until ${formatDate(quietEnd)}, not claiming.`);
+    process.exit(0);
+  }
+  await checkGame("once");
+  if (!shuttingDown) {
+    await flushLogs();
+    process.exit(runErrorCount > 0 ? 1 : 0);
+  }
+  // A signal ended the run early, shutdown() exits once it is done
+  await new Promise(() => {});
+}
+
+for (const target of config.notifyTargets) {
+  await consoleAndWebhookAsync("info", `Notifications enabled for ${target.name} (${target.type})! With types: ` + String(target.enabledTypes));
+}
+
+await consoleAndWebhookAsync("info", "ASFClaim started!");
+
+if (Number(config.apiPort) > 0) {
+  if (!config.apiPassword) {
+    logger.warn("⚠️  API_PASSWORD is not set. The HTTP API will reject GET /plan, POST /run and POST /licenses/:id/retry.");
+  }
+  apiServer = startApiServer({ port: Number(config.apiPort), host: config.apiHost, password: config.apiPassword }, {
+    getHealth: () => ({ healthy: true, asfReady: instances.every(isInstanceReady), running: runState.running }),
+    getStatus: () => {
+      const instanceStatus = instances.map(instance => ({
+        name: instance.name,
+        asfReady: isInstanceReady(instance),
+        asfVersion: instance.client.getCapabilities().version,
+        skippedBots: instance.skippedBots,
+        pendingCount: instance.queue.pending.length,
+        processedCount: listLicenses(instance.ledger, instance.bots).filter(license => license.complete).length,
+        claimingPausedUntil: isClaimingPaused(instance.queue) ? instance.queue.pausedUntil : null
+      }));
+      return {
+        version: pkg.version,
+        ...runState,
+        asfReady: instanceStatus.every(instance => instance.asfReady),
+        pendingCount: instanceStatus.reduce((sum, instance) => sum + instance.pendingCount, 0),
+        processedCount: instanceStatus.reduce((sum, instance) => sum + instance.processedCount, 0),
+        instances: instanceStatus
+      };
+    },
+    getLicenses: () => instances.flatMap(instance => listLicenses(instance.ledger, instance.bots).map(license => ({ instance: instance.name, ...license }))),
+    getPlan: resolveNames => planClaims(resolveNames),
+    getHistory: filter => readHistory(historyFile, filter),
+    getHistoryStats: filter => summarizeHistory(readHistory(historyFile, filter)),
+    getMetrics: () => {
+      metrics.processedLicenses.reset();
+      metrics.pendingLicenses.reset();
+      for (const instance of instances) {
+        metrics.processedLicenses.set({ instance: instance.name }, listLicenses(instance.ledger, instance.bots).filter(license => license.complete).length);
+        metrics.pendingLicenses.set({ instance: instance.name }, instance.queue.pending.length);
+      }
+      const webhookStats = getWebhookQueueStats();
+      metrics.webhookQueueDepth.set({}, webhookStats.queued);
+      metrics.webhookDeadLetters.set({}, webhookStats.deadLetters);
+      if (runState.lastSuccessfulRunAt) {
+        metrics.lastSuccessfulRun.set({}, new Date(runState.lastSuccessfulRunAt).getTime() / 1000);
+      }
+      return renderMetrics();
+    },
+    run: () => {
+      if (runState.running) return false;
+      checkGame("manual");
+      return true;
+    },
+    retryLicense: code => {
+      let removed = false;
+      for (const instance of instances) {
+        if (removeLicense(instance.ledger, code)) {
+          saveProcessedLicenses(instance);
+          removed = true;
+        }
+      }
+      if (!removed) return false;
+      logger.info(`API: ${code} removed from processed licenses, it will be claimed again in the next run.`);
+      return true;
+    }
+  });
+}
+
+for (const instance of instances) {
+  if (shuttingDown) break;
+  try {
+    await ensureASFReady(instance);
+  } catch (err) {
+    await handleRunError(err, "connecting to ASF", instance);
+  }
+}
+startingUp = false;
+if (shuttingDown) {
+  // A signal during the startup, shutdown() exits once it is done
+  await new Promise(() => {});
+}
+
+// Pick up edits of the config file without a restart
+if (config.configFile) {
+  watchConfigFile(config.configFile, reason => reloadConfig(reason));
+  logger.info(`Watching ${config.configFile} for changes, send SIGHUP to reload it manually.`);
+}
+watchGists();
+
+logger.info(`Claim schedule: ${config.claimSchedule.description}` + (config.quietHoursRange ? `, quiet hours ${config.quietHours}` : ""));
+
+// Keep the persisted next run if it is still ahead and the schedule didn't change, otherwise calculate it
+let firstRunAt = (scheduleState.nextRunAt && scheduleState.schedule === config.claimSchedule.description)
+  ? new Date(scheduleState.nextRunAt)
+  : getNextRunTime(config.claimSchedule, { lastRunAt: scheduleState.lastRunAt, jitterMinutes: Number(config.jitter), quietHours: config.quietHoursRange });
+if (firstRunAt <= new Date()) {
+  // A run missed while ASFclaim was down is made up right away, spread by the jitter like any other run
+  firstRunAt = applyJitter(new Date(), Number(config.jitter));
+}
+if (firstRunAt <= new Date() && !isQuietTime(config.quietHoursRange)) {
+  await checkGame();
+} else {
+  firstRunAt = getQuietHoursEnd(config.quietHoursRange, firstRunAt) || firstRunAt;
+  scheduleNextRun(firstRunAt);
+  await consoleAndWebhookAsync("info", `Next run scheduled for: ${formatDate(firstRunAt)}`);
+  for (const instance of instances) {
+    if (instance.queue.pausedUntil) {
+      scheduleClaimResume(instance);
+    }
+  }
+}
+
+/**
+ * Reloads the config file and applies the settings that can change at runtime
+ * An invalid file is rejected as a whole and the current settings stay in use
+ * @param {string} reason - What triggered the reload, for log messages
+ */
+async function reloadConfig(reason) {
+  let next;
+  try {
+    next = loadConfig(process.env, config.configFile);
+  } catch (err) {
+    logger.error(`❌ Reloading the config (${reason}) failed, keeping the current settings. ${err.message}`);
+    await sendHookAsync("error", "Reloading the config failed, keeping the current settings. Check the logs for details.");
+    return;
+  }
 
-// Webhook queue for rate limiting
-const webhookQueue = [];
-let isProcessingWebhook = false;
+  const { changed, restartRequired } = applyConfig(config, next);
+  if (changed.length === 0) {
+    logger.info(`Config reloaded (${reason}), nothing changed.`);
+    return;
+  }
+  if (restartRequired.length > 0) {
+    logger.warn(`⚠️  ${restartRequired.join(", ")} changed, restart ASFclaim to apply.`);
+  }
+
+  if (changed.includes("ASF_*")) {
+    for (const settings of config.asfInstances) {
+      const instance = instances.find(other => other.name === settings.name);
+      if (!instance) continue;
+      const connectionChanged = ["protocol", "host", "port", "password"].some(key => instance[key] !== settings[key]);
+      const botsChanged = instance.bots !== settings.bots;
+      Object.assign(instance, settings);
+      if (connectionChanged) {
+        instance.client = createInstanceClient(settings);
+      }
+      if (connectionChanged || botsChanged) {
+        instance.ready = false;
+      }
+    }
+    const names = config.asfInstances.map(settings => String(settings.name)).sort().join();
+    if (names !== instances.map(instance => String(instance.name)).sort().join()) {
+      logger.warn("⚠️  Adding or removing ASF instances requires a restart.");
+    }
+  }
+  if (changed.some(name => name.startsWith("LOG_")) || ["ASF_*", "NOTIFY_*", "WEBHOOK_URL"].some(name => changed.includes(name))) {
+    applyLoggingConfig();
+  }
+  if (changed.includes("STORAGE_BACKUPS")) {
+    configureStorage({ backups: Number(config.storageBackups) });
+  }
+  if (changed.includes("WEBHOOK_RETRIES")) {
+    configureWebhookQueue(webhookQueueOptions());
+  }
+  if (["GIST_POLL_INTERVAL", "GIST_ID", "PACKAGE_SOURCES"].some(name => changed.includes(name))) {
+    watchGists();
+  }
+  if (["ASF_CLAIM_INTERVAL", "ASF_CLAIM_SCHEDULE", "ASF_CLAIM_JITTER", "QUIET_HOURS"].some(name => changed.includes(name))) {
+    scheduleNextRun(getNextRunTime(config.claimSchedule, {
+      lastRunAt: scheduleState.lastRunAt,
+      jitterMinutes: Number(config.jitter),
+      quietHours: config.quietHoursRange
+    }));
+    logger.info(`Claim schedule: ${config.claimSchedule.description}, next run at ${formatDate(new Date(runState.nextRunAt))}`);
+  }
+
+  await consoleAndWebhookAsync("info", `Config reloaded (${reason}), changed: ${changed.filter(name => !restartRequired.includes(name)).join(", ") || "nothing that applies without a restart"}`);
+}
 
 /**
- * Processes the webhook queue with rate limiting
- * Sends webhooks at a maximum rate of 5 per second (200ms delay between sends)
+ * Runs a command from the command line on the loaded ledgers and claim queues
+ * @param {object} cli - Command from parseCliArgs()
+ * @returns {Promise<number>} Exit code
+ * @throws {Error} If the arguments are invalid or a file can't be read or written
  */
-async function processWebhookQueue() {
-  if (isProcessingWebhook || webhookQueue.length === 0) return;
+async function runCliCommand(cli) {
+  const selected = selectInstances(instances, cli.instance);
+  switch (cli.command) {
+    case "list":
+      console.log(formatLicenseList(selected, cli.args[0]));
+      return 0;
+
+    case "mark":
+    case "unmark": {
+      const codes = normalizeCliCodes(cli.args);
+      for (const instance of selected) {
+        if (cli.command === "mark") {
+          markCodes(instance.ledger, codes);
+          console.log(`${instanceLabel(instance)}Marked ${codes.length} code(s) as processed.`);
+        } else {
+          const removed = unmarkCodes(instance.ledger, codes);
+          console.log(`${instanceLabel(instance)}Removed ${removed} of ${codes.length} code(s) from the processed licenses, they are claimed again in the next run.`);
+        }
+        saveProcessedLicenses(instance);
+      }
+      return 0;
+    }
 
-  isProcessingWebhook = true;
-  while (webhookQueue.length > 0) {
-    const { url, options, resolve, reject } = webhookQueue.shift();
-    try {
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        throw new Error(`Webhook failed: ${response.status} ${response.statusText}`);
+    case "import": {
+      const content = readFileSync(cli.args[0], "utf8");
+      for (const instance of selected) {
+        const { imported, invalid } = importLicenses(instance.ledger, content);
+        saveProcessedLicenses(instance);
+        console.log(`${instanceLabel(instance)}Imported ${imported} code(s) from ${cli.args[0]}.`);
+        if (invalid.length > 0) {
+          logger.warn(`⚠️  Skipped ${invalid.length} invalid entries: ${invalid.join(", ")}`);
+        }
+      }
+      return 0;
+    }
+
+    case "export": {
+      if (selected.length > 1) {
+        throw new Error("Several ASF instances are configured, choose the one to export with --instance");
       }
-      resolve();
-    } catch (error) {
-      logger.error("Webhook send failed:", error);
-      reject(error);
+      const content = exportLicenses(selected[0].ledger, cli.format, selected[0].bots);
+      if (cli.args[0]) {
+        writeFileSync(cli.args[0], content);
+        console.log(`Exported the processed licenses to ${cli.args[0]}.`);
+      } else {
+        await new Promise(resolve => process.stdout.write(content, resolve));
+      }
+      return 0;
+    }
+
+    case "check": {
+      let healthy = true;
+      for (const instance of selected) {
+        try {
+          await checkConnection(instance);
+          await checkUserLoggedIn(instance);
+        } catch (err) {
+          console.log(`${instanceLabel(instance)}ASF: not reachable (${describeError(err)})`);
+          healthy = false;
+          continue;
+        }
+        const { version } = instance.client.getCapabilities();
+        console.log(`${instanceLabel(instance)}ASF: connected${version ? ", V" + version : ""}`);
+        console.log(`${instanceLabel(instance)}Ready bots: ${instance.readyBots.join(", ") || "none"}`);
+        if (instance.skippedBots.length > 0) {
+          console.log(`${instanceLabel(instance)}Bots that aren't ready: ${instance.skippedBots.join(", ")}`);
+          healthy = false;
+        }
+        if (instance.unknownBots.length > 0) {
+          console.log(`${instanceLabel(instance)}Bots ASF doesn't know: ${instance.unknownBots.join(", ")}`);
+          healthy = false;
+        }
+      }
+      return healthy ? 0 : 1;
     }
-    // Rate limit: wait 200ms between sends (5 per second max)
-    await sleep(0.2);
   }
-  isProcessingWebhook = false;
+  return 0;
 }
 
 /**
- * Queues a webhook for sending with rate limiting
- * @param {string} url - The webhook URL to send to
- * @param {object} options - Fetch options for the webhook request
- * @returns {Promise} Promise that resolves when webhook is sent
+ * Applies the `LOG_*` settings and the secrets to redact from the logs
  */
-async function sendWebhook(url, options) {
-  return new Promise((resolve, reject) => {
-    webhookQueue.push({ url, options, resolve, reject });
-    processWebhookQueue();
+function applyLoggingConfig() {
+  configureLogging({
+    level: config.logLevel,
+    format: config.logFormat,
+    // Dry runs and the read-only tools leave the storage untouched, including the log file
+    file: config.logFile === "true" && !readOnly ? logFile : null,
+    maxSize: Number(config.logFileSize) * 1024 * 1024,
+    maxFiles: Number(config.logFileCount)
   });
+  setRedactedSecrets(collectSecrets(config));
 }
 
-logger.info("target = " + config.protocol + "://" + config.host + ":" + config.port);
-
-// Storage paths for persistent data
-let storageDirectory = "./storage/";
-let processedLicensesFile = storageDirectory + "processedLicenses";
-let migrationFile = storageDirectory + "lastlength";
+/**
+ * Exits right away on SIGINT or SIGTERM while the state is still loading
+ */
+function exitOnSignal() {
+  process.exit(0);
+}
 
-// Create storage directory if it doesn't exist
-try {
-  mkdirSync(storageDirectory, { recursive: true });
-} catch (err) {
-  if (err.code !== "EEXIST") {
-    logger.error("Error creating storage directory:", err);
+/**
+ * Shuts down gracefully on SIGINT or SIGTERM, within `SHUTDOWN_TIMEOUT` seconds
+ * Stops scheduling runs and claims, lets the ASF request in progress finish and record its result, saves the state,
+ * and sends a notice; notifications that aren't delivered in time are kept for the next start.
+ * A second signal exits right away.
+ * @param {string} signal - Signal that was received
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`⚠️  ${signal} received again, exiting without waiting for the work in progress.`);
     process.exit(1);
   }
+  shuttingDown = true;
+  const deadline = Date.now() + Number(config.shutdownTimeout) * 1000;
+  logger.info(`${signal} received, shutting down...`);
+
+  if (nextRunTimer) {
+    clearTimeout(nextRunTimer.timer);
+  }
+  for (const instance of instances) {
+    clearTimeout(instance.resumeTimer);
+    instance.resumeTimer = null;
+  }
+  if (gistWatcher) {
+    gistWatcher.stop();
+  }
+  if (apiServer) {
+    apiServer.close();
+  }
+
+  const busy = () => startingUp || runState.running || instances.some(instance => instance.claiming);
+  while (busy() && Date.now() < deadline) {
+    await sleep(0.1);
+  }
+  if (busy()) {
+    logger.warn("⚠️  The current run didn't finish in time, its remaining codes are claimed after the restart.");
+  }
+
+  try {
+    for (const instance of instances) {
+      saveProcessedLicenses(instance);
+      saveClaimQueue(instance.queueFile, instance.queue);
+    }
+    saveScheduleState(scheduleFile, scheduleState);
+  } catch (err) {
+    logger.error(`❌ Could not save the state: ${describeError(err)}`);
+  }
+
+  const notice = consoleAndWebhookAsync("info", "ASFClaim is shutting down.");
+  await Promise.race([notice, sleep(Math.max(deadline - Date.now(), 0) / 1000)]);
+  const undelivered = await drainWebhookQueue(Math.max(deadline - Date.now(), 0));
+  if (undelivered > 0) {
+    logger.warn(`⚠️  ${undelivered} notification(s) couldn't be sent in time, they are sent on the next start.`);
+  }
+  await flushLogs();
+  process.exit(0);
 }
 
-// Load processed licenses from file or initialize empty array
-let processedLicenses = [];
-try {
-  processedLicenses = JSON.parse(readFileSync(processedLicensesFile, "utf8"));
-} catch (err) {
-  if (err.code === "ENOENT") {
-    processedLicenses = [];
-    writeFileSync(processedLicensesFile, JSON.stringify(processedLicenses));
-  } else {
-    logger.error("Error loading processed licenses:", err);
-    process.exit(1);
+/**
+ * Starts or restarts polling the gist sources for changes every `GIST_POLL_INTERVAL` seconds
+ */
+function watchGists() {
+  if (gistWatcher) {
+    gistWatcher.stop();
+    gistWatcher = null;
+  }
+  if (Number(config.gistPollInterval) > 0 && !shuttingDown) {
+    gistWatcher = startGistWatcher({
+      sources: config.packageSources,
+      octokit,
+      stateFile: gistWatchFile,
+      interval: Number(config.gistPollInterval),
+      onChange: (source, entries) => withCorrelationId(() => claimNewCodes(source, entries))
+    });
+  }
+  if (gistWatcher) {
+    logger.info(`Polling the gist sources for new codes every ${config.gistPollInterval} seconds.`);
   }
 }
 
-try {
-  const lastLength = parseInt(readFileSync(migrationFile, "utf8").trim(), 10);
-  if (!isNaN(lastLength)) {
-    try {
-      const gist = await octokit.gists.get({ gist_id: config.gistId });
-      let codes = gist.data.files["Steam Codes"].content
-        .split("\n")
-        .map((code) => code.trim())
-        .filter((code) => code);
-
-      let migratedLicenses = codes.slice(0, lastLength);
-      processedLicenses = [...new Set([...processedLicenses, ...migratedLicenses])];
-      saveProcessedLicenses();
-    } catch (err) {
-      logger.warn("⚠️  Migration failed - could not fetch Gist for migration. Skipping...");
-      if (err.status === 401) {
-        logger.warn("GitHub authentication required for migration. This is normal if running for the first time.");
+/**
+ * Claims the codes a gist change added right away, instead of waiting for the next run
+ * Only codes that are neither in the ledger nor queued count as new, the others are left to the scheduled runs
+ * @param {object} source - Gist source that changed
+ * @param {object[]} entries - Entries now in the gist, from parseCodeList()
+ * @returns {Promise<boolean>} False while a run is in progress or in quiet hours, so the change is picked up by a later poll
+ */
+async function claimNewCodes(source, entries) {
+  if (shuttingDown || runState.running || isQuietTime(config.quietHoursRange)) {
+    return false;
+  }
+  const codes = [...new Set(rememberAnnotations(entries.map(entry => [entry.code, entry])))];
+
+  runState.running = true;
+  const digest = startDigest();
+  try {
+    for (const instance of instances) {
+      const newCodes = codes.filter(code => getPendingBots(instance.ledger, code, instance.bots) === null && !instance.queue.pending.includes(code)).reverse();
+      if (newCodes.length === 0) continue;
+
+      await consoleAndWebhookAsync("info", `Found ${newCodes.length} new package(s) in ${source.name}, claiming them right away...`, undefined, instance);
+      try {
+        await ensureASFReady(instance);
+        syncClaimQueue(instance.queue, newCodes, code => isLicenseComplete(instance.ledger, code, instance.bots) || isCodeExpired(code));
+        saveClaimQueue(instance.queueFile, instance.queue);
+        await processClaimQueue(instance, { onlyCodes: newCodes, digest });
+      } catch (err) {
+        await handleRunError(err, "claiming new packages", instance);
       }
     }
-
-    unlinkSync(migrationFile);
+  } finally {
+    await flushDigest(digest);
+    runState.running = false;
   }
-} catch {
-  // Silently skip the migration if `lastlength` doesn't exist or is invalid
+  return true;
 }
 
 /**
- * Saves the processed licenses array to disk
+ * Stores the expiry dates and tags of codes from the package sources
+ * @param {Iterable<Array>} annotations - Pairs of code and `{expiresAt, tags}`
+ * @returns {string[]} Codes that haven't expired, in the given order
  */
-function saveProcessedLicenses() {
-  writeFileSync(processedLicensesFile, JSON.stringify(processedLicenses, null, 2));
+function rememberAnnotations(annotations) {
+  const valid = [];
+  for (const [code, { expiresAt, tags }] of annotations) {
+    codeAnnotations.set(code, { expiresAt, tags });
+    if (!isExpired(codeAnnotations.get(code))) valid.push(code);
+  }
+  return valid;
 }
 
-if (config.webhookUrl && config.webhookUrl !== "none") {
-  var webhookEnabledTypes = config.webhookEnabledTypes.split(";");
-  await consoleAndWebhookAsync("info", "Discord hook enabled! With types: " + String(webhookEnabledTypes));
+/**
+ * Checks whether a code's expiry date from the package sources has passed
+ * @param {string} code - License code
+ * @returns {boolean} True if the code has expired and must not be claimed anymore
+ */
+function isCodeExpired(code) {
+  return isExpired(codeAnnotations.get(code));
 }
 
-await consoleAndWebhookAsync("info", "ASFClaim started!");
+/**
+ * Plans the next run without claiming anything or writing to storage
+ * Runs the same source fetch, deduplication, queue ordering and batch selection as checkGame()
+ * @param {boolean} [resolveNames=false] - Look up the app names through the Store metadata cache
+ * @returns {Promise<object>} Plan with counts and, per ASF instance, the addlicense commands that would be sent
+ */
+async function planClaims(resolveNames = false) {
+  const { codes: allCodes, annotations, failed } = await fetchAllSources(config.packageSources, { octokit });
+  const codes = rememberAnnotations(annotations);
+
+  const instancePlans = [];
+  for (const instance of instances) {
+    let newCodes = codes.filter(code => !isLicenseComplete(instance.ledger, code, instance.bots));
+    newCodes.reverse();
+
+    // Work on a copy, so the real queue isn't touched
+    const queue = structuredClone(instance.queue);
+    syncClaimQueue(queue, newCodes, code => isLicenseComplete(instance.ledger, code, instance.bots) || isCodeExpired(code));
+
+    const commands = [];
+    for (const license of queue.pending.slice(0, config.claimPolicy.batchSize)) {
+      const pendingBots = getPendingBots(instance.ledger, license, instance.bots);
+      const { targetBots, filtered } = await applyFilterRules(instance, license, pendingBots ? pendingBots.join(",") : instance.bots);
+      const command = { license, bots: targetBots, command: targetBots ? instance.prefix + "addlicense " + targetBots + " " + license : null, filtered };
+      if (resolveNames) {
+        command.apps = (await describeLicenseAsync(license)).apps.map(app => ({ name: app.name, type: app.type, appId: app.appId }));
+      }
+      commands.push(command);
+    }
 
-await checkConnection();
-await checkUserLoggedIn();
+    instancePlans.push({
+      name: instance.name,
+      processedCount: codes.length - newCodes.length,
+      expiredCount: allCodes.length - codes.length,
+      pendingCount: queue.pending.length,
+      claimingPausedUntil: isClaimingPaused(queue) ? queue.pausedUntil : null,
+      commands
+    });
+  }
 
-await checkGame();
-setInterval(checkGame, Number(config.interval) * 60 * 60 * 1000); // Runs every %config.interval% hours
+  return {
+    sources: config.packageSources.map(source => ({ name: source.name, ok: !failed.some(f => f.source === source) })),
+    totalCodes: codes.length,
+    batchSize: config.claimPolicy.batchSize,
+    instances: instancePlans
+  };
+}
 
 /**
- * Main function that checks for new Steam codes and processes license claims
- * Fetches codes from GitHub Gist, filters out already processed ones, and claims new licenses
+ * Logs a plan from planClaims()
+ * @param {object} plan - Plan to log
  */
-async function checkGame() {
-  await consoleAndWebhookAsync("info", "Checking for new packages...");
+function printClaimPlan(plan) {
+  logger.info(`----------------------------------`);
+  for (const source of plan.sources) {
+    logger.info(`Source ${source.name}: ${source.ok ? "OK" : "FAILED"}`);
+  }
+  logger.info(`Codes found: ${plan.totalCodes}`);
+  for (const instance of plan.instances) {
+    const label = instance.name ? `[${instance.name}] ` : "";
+    logger.info(`${label}Already processed: ${instance.processedCount}, expired: ${instance.expiredCount}, queued: ${instance.pendingCount}`);
+    if (instance.claimingPausedUntil) {
+      logger.info(`${label}Claiming is paused due to rate limit until ${formatDate(new Date(instance.claimingPausedUntil))}`);
+    }
+    logger.info(`${label}Next batch (${instance.commands.length} of max ${plan.batchSize}):`);
+    instance.commands.forEach((command, index) => {
+      const names = command.apps ? " -> " + command.apps.map(app => `${app.name} (${app.type})`).join(", ") : "";
+      const filtered = Object.entries(command.filtered).map(([bot, result]) => `${bot}: ${result.status}`).join(", ");
+      logger.info(`${index + 1}. ${command.command || "(no addlicense) " + command.license}${names}${filtered ? ` [not for ${filtered}]` : ""}`);
+    });
+  }
+  logger.info(`----------------------------------`);
+}
 
-  let currentTime = new Date();
-  let nextRunTime = new Date(currentTime.getTime() + (Number(config.interval) * 60 * 60 * 1000));
+/**
+ * Schedules the next run and persists it
+ * @param {Date} date - When the next run starts
+ */
+function scheduleNextRun(date) {
+  if (shuttingDown) return;
+  if (nextRunTimer) {
+    clearTimeout(nextRunTimer.timer);
+  }
+  runState.nextRunAt = date.toISOString();
+  scheduleState.nextRunAt = runState.nextRunAt;
+  scheduleState.schedule = config.claimSchedule.description;
+  saveScheduleState(scheduleFile, scheduleState);
+  nextRunTimer = runAt(date, () => checkGame());
+}
 
-  let nextRunFormatted = nextRunTime.toLocaleString('en-US', {
-    hour: '2-digit', minute: '2-digit', hour12: true, month: 'short', day: 'numeric', year: 'numeric'
-  });
+/**
+ * Main function that checks for new Steam codes and processes license claims
+ * Every line logged during the run, including by the modules it calls, carries the run's correlation ID
+ * @param {string} [trigger] - "schedule" for interval runs, "manual" for runs started through the HTTP API,
+ *   "once" for a single run from the command line that doesn't schedule another one
+ * @returns {Promise<void>}
+ */
+function checkGame(trigger = "schedule") {
+  return withCorrelationId(() => runCheck(trigger));
+}
 
-  try {
-    const gist = await octokit.gists.get({ gist_id: config.gistId });
-    let codes = gist.data.files["Steam Codes"].content.split("\n").map(code => code.trim()).filter(code => code);
+/**
+ * Runs checkGame(): fetches codes from all package sources once, then queues and claims the ones not yet processed
+ * on every ASF instance
+ * @param {string} trigger - What started the run, see checkGame()
+ */
+async function runCheck(trigger) {
+  if (shuttingDown) return;
+  if (runState.running) {
+    logger.warn("Previous run is still in progress, skipping this one.");
+    if (trigger === "schedule") {
+      scheduleNextRun(getNextRunTime(config.claimSchedule, { from: new Date(Date.now() + 60 * 1000), jitterMinutes: Number(config.jitter), quietHours: config.quietHoursRange }));
+    }
+    return;
+  }
+  const quietEnd = getQuietHoursEnd(config.quietHoursRange);
+  if (quietEnd && trigger === "schedule") {
+    logger.info(`Quiet hours, postponing run to ${formatDate(quietEnd)}.`);
+    scheduleNextRun(quietEnd);
+    return;
+  }
+  runState.running = true;
+  runState.lastRunStartedAt = new Date().toISOString();
+
+  if (trigger === "schedule") {
+    // Schedule the next run right away, so a long run can't delay or overlap it
+    scheduleState.lastRunAt = runState.lastRunStartedAt;
+    scheduleNextRun(getNextRunTime(config.claimSchedule, {
+      lastRunAt: scheduleState.lastRunAt,
+      jitterMinutes: Number(config.jitter),
+      quietHours: config.quietHoursRange
+    }));
+  }
 
-    let newCodes = codes.filter(code => !processedLicenses.includes(code));
+  const errorsBefore = runErrorCount;
+  const digest = startDigest();
+  try {
+    await consoleAndWebhookAsync("info", "Checking for new packages...");
 
-    if (newCodes.length > 0) {
-      newCodes.reverse();
+    const { codes: allCodes, annotations, failed, timings } = await fetchAllSources(config.packageSources, { octokit });
+    const codes = rememberAnnotations(annotations);
+    if (allCodes.length > codes.length) {
+      logger.info(`Skipping ${allCodes.length - codes.length} expired code(s).`);
+    }
+    for (const timing of timings) {
+      metrics.sourceFetchSeconds.observe({ source: timing.source.name }, timing.seconds);
+      if (!timing.ok) metrics.sourceFetchErrors.inc({ source: timing.source.name });
+    }
+    if (failed.length > 0 && failed.length === config.packageSources.length) {
+      if (failed.every(f => isFatalError(f.error))) {
+        throw new FatalError("Failed to fetch Steam codes from all package sources");
+      }
+      await sendHookAsync("error", "Failed to fetch Steam codes from all package sources, will retry in next run. Check the logs for details.");
+    } else if (failed.length > 0) {
+      await sendHookAsync("warn", `Skipped ${failed.length} package source(s) that failed to load: ${failed.map(f => f.source.name).join(", ")}`);
+    }
 
-      let batch = newCodes.slice(0, 40);
+    for (const instance of instances) {
+      if (shuttingDown) break;
+      // An unreachable instance is retried in the next run and must not hold up the others
+      try {
+        await ensureASFReady(instance);
 
-      for (let currentLicense of batch) {
-        let asfCommand = config.prefix + "addlicense " + config.bots + " " + currentLicense;
+        let newCodes = codes.filter(code => !isLicenseComplete(instance.ledger, code, instance.bots));
+        newCodes.reverse();
 
-        let asfRequest = { Command: asfCommand };
-        await sleep(2);
+        syncClaimQueue(instance.queue, newCodes, code => isLicenseComplete(instance.ledger, code, instance.bots) || isCodeExpired(code));
+        saveClaimQueue(instance.queueFile, instance.queue);
 
-        let headers = { "Content-Type": "application/json" };
-        if (config.pass && config.pass.length > 0) {
-          headers.Authentication = config.pass;
+        if (instance.queue.pending.length > 0) {
+          await processClaimQueue(instance, { digest });
+        } else {
+          await consoleAndWebhookAsync("info", "No new packages found.", undefined, instance);
         }
-
-        await fetch(config.protocol + "://" + config.host + ":" + config.port + "/Api/Command", {
-          method: "post",
-          body: JSON.stringify(asfRequest),
-          headers: headers
-        })
-          .then(async res => res.json())
-          .then(async body => {
-            if (body.Success) {
-              const asfResult = parseASFResult(body.Result);
-              const hasRateLimit = Object.values(asfResult).some(result => result.status.includes('RateLimitExceeded'));
-
-              if (hasRateLimit) {
-                logger.info(`----------------------------------`);
-                logger.error("Rate limit exceeded, not marking as processed.");
-                logger.info(`Command: !addlicense ${config.bots} ${currentLicense}`);
-                logger.info(`Result: ${body.Result.trim()}`);
-                logger.info(`Message: ${body.Message}`);
-                await sendHookAsync("error", "Rate limit exceeded while processing package. Will retry in next run.", currentLicense, asfResult);
-              } else {
-                logger.info(`----------------------------------`);
-                logger.info(`Success: License Added`);
-                logger.info(`Command: !addlicense ${config.bots} ${currentLicense}`);
-                logger.info(`Result: ${body.Result.trim()}`);
-                logger.info(`Message: ${body.Message}`);
-                logger.info(`Success: ✅`);
-                processedLicenses.push(currentLicense);
-                saveProcessedLicenses();
-                if (config.webhookShowAccountStatus === "true") {
-                  await sendHookAsync("success", "Processed a new package!", currentLicense, asfResult);
-                } else {
-                  await sendHookAsync("success", "Processed a new package!", currentLicense);
-                }
-              }
-            } else {
-              logger.error("Error: ", body);
-              await sendHookAsync("error", "Got non-success result from ASF, check the logs for more information.");
-              logger.error("Statuscode: " + body.Result.StatusCode + " | Got non-success result from ASF!");
-              process.exit(1);
-            }
-          })
-          .catch(async err => {
-            logger.error(`Error running '${asfCommand}':`);
-            await sendHookAsync("error", "An error occurred while connecting to ASF, check the logs for more information.");
-            logger.error("error", err);
-            process.exit(1);
-          });
+      } catch (err) {
+        await handleRunError(err, "claiming packages", instance);
       }
-    } else {
-      await consoleAndWebhookAsync("info", "No new packages found.");
     }
   } catch (err) {
-    if (err.status === 401) {
-      logger.error("❌ GitHub Authentication Error:");
-      logger.error("The GitHub Gist requires authentication. Please set a valid GITHUB_TOKEN in your .env file.");
-      logger.error("Get a token from: https://github.com/settings/tokens (with 'gist' scope)");
-      logger.error("Then add: GITHUB_TOKEN=\"your_token_here\" to your .env file");
-    } else if (err.status === 404) {
-      logger.error("❌ GitHub Gist Not Found:");
-      logger.error(`The Gist with ID '${config.gistId}' was not found. Please check your GIST_ID in .env file.`);
-      logger.error("Make sure the Gist exists and is accessible with your token (if private).");
-    } else if (err.status === 403) {
-      logger.error("❌ GitHub API Rate Limit Exceeded:");
-      logger.error("You've hit GitHub's rate limit. Please wait a while or set a GITHUB_TOKEN to increase the limit.");
-    } else {
-      logger.error("❌ Error fetching GitHub Gist:");
-      logger.error("An unexpected error occurred while fetching the Steam codes from GitHub.");
-      logger.error(`Error: ${err.message}`);
+    await handleRunError(err, "checking for new packages");
+  } finally {
+    await flushDigest(digest);
+    // Skipped bots get another chance in the next run
+    for (const instance of instances) {
+      if (instance.skippedBots.length > 0) instance.ready = false;
+    }
+    runState.running = false;
+    runState.lastRunFinishedAt = new Date().toISOString();
+    if (runErrorCount === errorsBefore) {
+      runState.lastSuccessfulRunAt = runState.lastRunFinishedAt;
     }
-    await sendHookAsync("error", "Failed to fetch Steam codes from GitHub Gist. Check the logs for details.");
-    process.exit(1);
   }
 
+  if (trigger === "once" || shuttingDown) return;
+
+  // Read the next run only now, a config reload during the run may have moved it
+  const nextRunFormatted = runState.nextRunAt ? formatDate(new Date(runState.nextRunAt)) : "not scheduled yet";
   await consoleAndWebhookAsync("info", `Next run scheduled for: ${nextRunFormatted}`);
 }
 
 /**
- * Tests connection to ASF server with retry logic
- * Attempts to connect up to 5 times with 5-second delays between attempts
+ * Claims queued licenses of an ASF instance according to the claim policy
+ * Sends up to `batchSize` addlicense commands and pauses with an increasing backoff when Steam's rate limit is hit
+ * @param {object} instance - ASF instance
+ * @param {object} [options] - Claim options
+ * @param {string[]} [options.onlyCodes] - Only claim these of the queued licenses, e.g. the ones a gist change added
+ * @param {object[]|null} [options.digest] - Digest from startDigest() the results are collected in, null to notify each claim
  */
-async function checkConnection() {
-  let attemptNumber = 1,
-    maxRetries = 5,
-    retryDelay = 5,
-    success = false;
+async function processClaimQueue(instance, { onlyCodes, digest = null } = {}) {
+  if (instance.claiming) return;
 
-  while (true) {
-    if (attemptNumber > maxRetries) {
-      logger.error("Can't connect to ASF!");
-      process.exit(1);
+  if (isClaimingPaused(instance.queue)) {
+    logger.info(`${instanceLabel(instance)}Claiming is paused due to rate limit until ${formatDate(new Date(instance.queue.pausedUntil))}, ${instance.queue.pending.length} packages queued.`);
+    scheduleClaimResume(instance);
+    return;
+  }
+
+  // Codes only the skipped bots still need stay queued until they are ready
+  // Codes can expire while they wait for a rate limit backoff, those are left for the next sync to drop
+  const candidates = instance.queue.pending.filter(license => (!onlyCodes || onlyCodes.includes(license)) && !isCodeExpired(license) &&
+    getClaimTargets(instance, license).targetBots);
+  if (candidates.length === 0) {
+    logger.info(`${instanceLabel(instance)}${instance.queue.pending.length} packages queued for bots that aren't ready.`);
+    return;
+  }
+
+  instance.claiming = true;
+
+  try {
+    const batch = await selectClaimBatch(instance, candidates);
+    if (batch.length === 0) {
+      logger.info(`${instanceLabel(instance)}The bots already own all queued packages they can claim.`);
+      return;
     }
 
-    let headers = { "Content-Type": "application/json" };
-    if (config.pass && config.pass.length > 0) {
-      headers.Authentication = config.pass;
+    for (let license of batch) {
+      if (shuttingDown) break;
+      const { rateLimited, interrupted } = await claimLicense(instance, license, digest);
+      if (interrupted) break;
+
+      if (rateLimited) {
+        const resumeAt = pauseClaiming(instance.queue, config.claimPolicy);
+        saveClaimQueue(instance.queueFile, instance.queue);
+        await consoleAndWebhookAsync("warn", `Rate limit hit, pausing claims until ${formatDate(resumeAt)}. ${instance.queue.pending.length} packages left in queue.`, undefined, instance);
+        scheduleClaimResume(instance);
+        break;
+      }
+
+      // Bots that didn't get the license are picked up again by the next sync with the sources
+      resetBackoff(instance.queue);
+      removeFromClaimQueue(instance.queue, license);
+      saveClaimQueue(instance.queueFile, instance.queue);
     }
+  } catch (err) {
+    // ASF went away mid-batch, the remaining codes stay queued
+    instance.ready = false;
+    throw err;
+  } finally {
+    instance.claiming = false;
+  }
+}
 
-    let asfCommand = config.prefix + "stats";
-    let asfRequest = { Command: asfCommand };
-    await fetch(config.protocol + "://" + config.host + ":" + config.port + "/Api/Command", {
-      method: "post",
-      body: JSON.stringify(asfRequest),
-      headers: headers
-    })
-      .then(async res => res.json())
-      .then(async body => {
-        if (body.Success) {
-          success = true;
-        } else {
-          logger.error("Error: ");
-          logger.error(body);
-          success = false;
-        }
-      })
-      .catch(async err => {
-        logger.error(`Error running '${asfCommand}':`);
-        logger.error(err);
-        success = false;
-      });
-
-    if (success) {
+/**
+ * Picks the licenses to claim in this run, up to `batchSize`
+ * With `OWNERSHIP_CHECK`, the candidates are checked against the bots' libraries first, so licenses every bot
+ * already owns don't take up the batch and the rate limit
+ * @param {object} instance - ASF instance
+ * @param {string[]} candidates - Queued licenses that a ready bot still needs, in claim order
+ * @returns {Promise<string[]>} Licenses to claim
+ */
+async function selectClaimBatch(instance, candidates) {
+  const batchSize = config.claimPolicy.batchSize;
+  if (config.ownershipCheck !== "true") {
+    return candidates.slice(0, batchSize);
+  }
+
+  const batch = [];
+  for (let i = 0; i < candidates.length && batch.length < batchSize; i += batchSize) {
+    const chunk = candidates.slice(i, i + batchSize);
+    if (!(await recordOwnedLicenses(instance, chunk))) {
+      // Without the check, the remaining slots are filled as before
+      return [...batch, ...candidates.slice(i, i + batchSize - batch.length)];
+    }
+    batch.push(...chunk.filter(license => !isLicenseComplete(instance.ledger, license, instance.bots)).slice(0, batchSize - batch.length));
+  }
+  return batch;
+}
+
+/**
+ * Asks ASF which of the given licenses the bots already own and records them
+ * Licenses every bot owns are marked as processed and leave the queue without an addlicense; for the others
+ * the owners are recorded, so addlicense only targets the bots that still need them
+ * @param {object} instance - ASF instance
+ * @param {string[]} licenses - Queued licenses
+ * @returns {Promise<boolean>} False if ASF couldn't tell which licenses are owned
+ * @throws {Error} If the error is fatal
+ */
+async function recordOwnedLicenses(instance, licenses) {
+  const targets = licenses.map(license => ({ license, ...getClaimTargets(instance, license) }));
+  const bots = [...new Set(targets.flatMap(target => target.targetBots.split(",")))].join(",");
+  let owned;
+  try {
+    owned = await instance.client.getOwnedLicenses(bots, licenses);
+  } catch (err) {
+    if (isFatalError(err)) throw err;
+    logger.warn(`⚠️  ${instanceLabel(instance)}Could not check which packages the bots own, claiming without the check: ${describeError(err)}`);
+    return false;
+  }
+
+  let ownedByAll = 0;
+  for (const { license, targetBots, skippedBots } of targets) {
+    // "asf" stands for all bots, i.e. the ones that answered
+    const targetList = targetBots.toLowerCase() === "asf" ? Object.keys(owned) : targetBots.split(",");
+    const owners = targetList.filter(bot => owned[bot] && owned[bot].includes(license));
+    if (owners.length === 0) continue;
+
+    const results = Object.fromEntries(skippedBots.map(bot => [bot, { status: "Bot is not ready" }]));
+    for (const bot of targetList) {
+      results[bot] = { status: owners.includes(bot) ? "AlreadyOwned" : "Deferred: not owned yet" };
+    }
+    recordLicenseResult(instance.ledger, license, results);
+    if (isLicenseComplete(instance.ledger, license, instance.bots)) {
+      removeFromClaimQueue(instance.queue, license);
+      ownedByAll++;
+    }
+  }
+  saveProcessedLicenses(instance);
+  saveClaimQueue(instance.queueFile, instance.queue);
+  if (ownedByAll > 0) {
+    logger.info(`${instanceLabel(instance)}${ownedByAll} queued package(s) already owned by every bot, marked as processed without claiming.`);
+  }
+  return true;
+}
+
+/**
+ * Schedules processClaimQueue() to run once the rate limit backoff of an ASF instance has passed
+ * @param {object} instance - ASF instance
+ */
+function scheduleClaimResume(instance) {
+  if (shuttingDown || instance.resumeTimer || !instance.queue.pausedUntil) return;
+
+  const delay = Math.max(new Date(instance.queue.pausedUntil).getTime() - Date.now(), 0);
+  instance.resumeTimer = setTimeout(async () => {
+    instance.resumeTimer = null;
+    const quietEnd = getQuietHoursEnd(config.quietHoursRange);
+    if (quietEnd) {
+      // Resume once the quiet hours are over
+      instance.queue.pausedUntil = quietEnd.toISOString();
+      scheduleClaimResume(instance);
       return;
     }
+    logger.info(`${instanceLabel(instance)}Rate limit backoff passed, resuming claims...`);
+    const digest = startDigest();
+    try {
+      await processClaimQueue(instance, { digest });
+    } catch (err) {
+      await handleRunError(err, "claiming packages", instance);
+    } finally {
+      await flushDigest(digest);
+    }
+  }, delay);
+}
 
-    logger.warn("Connection check failed!, retry " + attemptNumber + "/" + maxRetries + " in " + retryDelay + " seconds...");
-    await sleep(retryDelay);
-    attemptNumber++;
+/**
+ * Works out which bots a license is claimed for in this run
+ * Only the bots that didn't get the license yet are retried, or all configured bots for new codes,
+ * leaving out the bots that weren't ready at the last check
+ * @param {object} instance - ASF instance
+ * @param {string} license - License code
+ * @returns {{targetBots: string|null, skippedBots: string[]}} Comma-separated bots to claim for (null if none is ready),
+ *   and the bots that weren't ready and have to be claimed for later
+ */
+function getClaimTargets(instance, license) {
+  const pendingBots = getPendingBots(instance.ledger, license, instance.bots);
+  if (instance.skippedBots.length === 0 && instance.unknownBots.length === 0) {
+    return { targetBots: pendingBots ? pendingBots.join(",") : instance.bots, skippedBots: [] };
   }
+
+  // Bots ASF doesn't know are left out entirely, claiming for them would only fail again
+  const bots = (pendingBots || [...instance.readyBots, ...instance.skippedBots]).filter(bot => !instance.unknownBots.includes(bot));
+  const readyBots = bots.filter(bot => !instance.skippedBots.includes(bot));
+  return {
+    targetBots: readyBots.length > 0 ? readyBots.join(",") : null,
+    skippedBots: bots.filter(bot => instance.skippedBots.includes(bot))
+  };
 }
 
 /**
- * Waits for all ASF bots to be logged in and ready
- * Polls ASF status until all bots are connected to Steam network
+ * Checks a license against the filter rules of the bots it would be claimed for
+ * @param {object} instance - ASF instance
+ * @param {string} license - License code
+ * @param {string} targetBots - Comma-separated bots from getClaimTargets(), or "asf" for all bots
+ * @returns {Promise<{targetBots: string|null, filtered: object}>} Bots that still get the license (null if none),
+ *   and the status of every bot the rules ruled it out for
  */
-async function checkUserLoggedIn() {
-  let allUsersReady = false;
-  let asfCommand = config.prefix + "status asf";
-  let asfRequest = { Command: asfCommand };
+async function applyFilterRules(instance, license, targetBots) {
+  if (config.filters.length === 0) {
+    return { targetBots, filtered: {} };
+  }
 
-  while (true) {
-    let headers = { "Content-Type": "application/json" };
-    if (config.pass && config.pass.length > 0) {
-      headers.Authentication = config.pass;
-    }
-
-    let result = await fetch(config.protocol + "://" + config.host + ":" + config.port + "/Api/Command", {
-      method: "post",
-      body: JSON.stringify(asfRequest),
-      headers: headers
-    })
-      .then(async res => res.json())
-      .then(async body => {
-        return body;
-      })
-      .catch(async err => {
-        logger.error(`Error running '${asfCommand}':`);
-        logger.error(err);
-        throw err;
-      });
-
-    if (result && result.Success && result.Result) {
-      var asfStatus = parseASFStatus(result.Result);
-      if (asfStatus.isDone) {
-        logger.info("All ASF users are connected and ready!");
-        allUsersReady = true;
-      }
-    } else {
-      logger.error("Failed to get status from ASF");
-      throw new Error("Failed to get status from ASF");
+  // "asf" stands for all bots, which are only known by name once their status has been read
+  const bots = targetBots.toLowerCase() === "asf" && instance.readyBots.length > 0 ? instance.readyBots : targetBots.split(",");
+  const parsedLicense = parseLicenseId(license);
+  const { tags } = codeAnnotations.get(license) || { tags: [] };
+  const filtered = await evaluateFilterRules(config.filters, bots, { ...parsedLicense, tags }, async () => {
+    const apps = parsedLicense.type === "app" ? [await getAppMetadata(parsedLicense.id)] : await getSubApps(parsedLicense.id);
+    return apps && !apps.includes(undefined) ? apps : undefined;
+  });
+  if (Object.keys(filtered).length === 0) {
+    return { targetBots, filtered };
+  }
+  const remaining = bots.filter(bot => !filtered[bot]);
+  return { targetBots: remaining.length > 0 ? remaining.join(",") : null, filtered };
+}
+
+/**
+ * Sends the addlicense command for a single license and records the per-bot result
+ * @param {object} instance - ASF instance to claim on
+ * @param {string} license - License code to claim
+ * @param {object[]|null} [digest] - Digest from startDigest() to add the result to instead of notifying right away
+ * @returns {Promise<{rateLimited: boolean, interrupted: boolean}>} Whether Steam's rate limit was hit, and whether
+ *   the claim wasn't sent because ASFclaim is shutting down
+ * @throws {Error} If ASF can't be reached after retrying, or the error is fatal
+ */
+async function claimLicense(instance, license, digest = null) {
+  const { skippedBots, ...targets } = getClaimTargets(instance, license);
+  const { targetBots, filtered } = await applyFilterRules(instance, license, targets.targetBots);
+  if (Object.keys(filtered).length > 0) {
+    for (const bot in filtered) {
+      logger.info(`${instanceLabel(instance)}Not claiming ${license} for ${bot}: ${filtered[bot].status}`);
+    }
+    recordLicenseResult(instance.ledger, license, filtered);
+    saveProcessedLicenses(instance);
+  }
+  if (!targetBots) {
+    return { rateLimited: false, interrupted: false };
+  }
+
+  await sleep(config.claimPolicy.delay);
+  if (shuttingDown) {
+    return { rateLimited: false, interrupted: true };
+  }
+  const claim = await withRetry(() => instance.client.addLicense(targetBots, license), { description: `${instanceLabel(instance)}Claiming ${license} for ${targetBots}` });
+  const asfResult = claim.results;
+  const rateLimited = Object.values(asfResult).some(result => /RateLimit/i.test(result.status));
+  for (const [bot, result] of Object.entries(asfResult)) {
+    // Only the status itself, e.g. "OK" from "OK | Items: app/10", to keep the number of series small
+    metrics.claims.inc({ instance: instance.name, bot, status: result.status.split(/ \| | -> /)[0] });
+    if (!isFailedStatus(result.status)) {
+      metrics.claimsSucceeded.inc({ instance: instance.name, bot });
     }
+  }
+  if (rateLimited) {
+    metrics.rateLimitHits.inc({ instance: instance.name });
+  }
 
-    if (!allUsersReady) {
-      logger.info("ASF users are still connecting to Steam network...");
-      logger.info("Waiting for 10 seconds...");
-      await sleep(10);
+  if (skippedBots.length > 0) {
+    recordLicenseResult(instance.ledger, license, Object.fromEntries(skippedBots.map(bot => [bot, { status: "Bot is not ready" }])));
+  }
+  recordLicenseResult(instance.ledger, license, asfResult);
+  saveProcessedLicenses(instance);
+  // Recorded before notifying, a slow or failing notification target must not lose the attempt
+  recordClaimHistory(instance, license, asfResult);
+  const retryBots = getPendingBots(instance.ledger, license, instance.bots);
+
+  if (rateLimited) {
+    logger.info(`----------------------------------`);
+    logger.error(`${instanceLabel(instance)}Rate limit exceeded for ${license}, not marking as processed for the affected bots.`);
+    logger.debug(`Request: ${claim.request}`);
+    logger.debug(`Result: ${claim.output}`);
+    if (digest) {
+      digest.push({ license, asfResult, instance: instance.name });
+    }
+    await sendHookAsync("error", "Rate limit exceeded while processing package. Will retry after the backoff delay.", license, asfResult, instance);
+  } else {
+    logger.info(`----------------------------------`);
+    logger.info(`${instanceLabel(instance)}Success: License Added (${license})`);
+    logger.debug(`Request: ${claim.request}`);
+    logger.debug(`Result: ${claim.output}`);
+    logger.info(`Success: ✅`);
+    if (retryBots.length > 0) {
+      logger.warn(`Not processed for: ${retryBots.join(", ")}. Will retry for these bots in next run.`);
+    }
+    if (digest) {
+      digest.push({ license, asfResult, instance: instance.name });
+    } else if (config.webhookShowAccountStatus === "true") {
+      await sendHookAsync("success", "Processed a new package!", license, asfResult, instance);
     } else {
-      break;
+      await sendHookAsync("success", "Processed a new package!", license, undefined, instance);
+    }
+  }
+
+  return { rateLimited, interrupted: false };
+}
+
+/**
+ * Appends the per-bot results of an addlicense attempt to the claim history
+ * @param {object} instance - ASF instance the license was claimed on
+ * @param {string} license - License code
+ * @param {object} asfResult - Typed per-bot result from the ASF client
+ */
+function recordClaimHistory(instance, license, asfResult) {
+  const { type, id } = parseLicenseId(license);
+  try {
+    appendHistory(historyFile, createHistoryEntries(license, asfResult, getCachedLicenseInfo(type, id), instance.name));
+  } catch (err) {
+    logger.warn("Could not write claim history: " + err.message);
+  }
+}
+
+/**
+ * Makes sure an ASF instance is reachable and its bots are logged in before claiming
+ * Only checks again after a failure or while bots are skipped, so regular runs don't repeat the startup checks
+ * @param {object} instance - ASF instance
+ */
+async function ensureASFReady(instance) {
+  if (instance.ready) return;
+
+  try {
+    await checkConnection(instance);
+    await checkUserLoggedIn(instance);
+  } catch (err) {
+    instance.connected = false;
+    throw err;
+  }
+  instance.ready = true;
+}
+
+/**
+ * Checks whether an ASF instance can claim, for the health check
+ * Based on the last connection check rather than `ready`, which is also reset to check the bots again before the next run
+ * @param {object} instance - ASF instance
+ * @returns {boolean} True if ASF was reachable at the last check and at least one bot was ready
+ */
+function isInstanceReady(instance) {
+  return instance.connected && instance.readyBots.length > 0;
+}
+
+/**
+ * Exits on fatal errors and defers transient ones to the next run
+ * @param {Error} err - Error that ended the current step
+ * @param {string} action - What was being done, for log messages
+ * @param {object} [instance] - ASF instance the error happened on, all instances are checked again if omitted
+ */
+async function handleRunError(err, action, instance) {
+  runErrorCount++;
+  if (isFatalError(err)) {
+    logger.error(`❌ ${instanceLabel(instance)}Fatal error while ${action}: ${describeError(err)}`);
+    await sendHookAsync("error", `Fatal error while ${action}, exiting. Check the logs for more information.`, undefined, undefined, instance);
+    await flushLogs();
+    process.exit(1);
+  }
+
+  for (const affected of instance ? [instance] : instances) {
+    affected.ready = false;
+  }
+  logger.warn(`⚠️  ${instanceLabel(instance)}Temporary error while ${action}: ${describeError(err)}. Will retry in next run.`);
+  await sendHookAsync("warn", `Temporary error while ${action}, will retry in next run. Check the logs for more information.`, undefined, undefined, instance);
+}
+
+/**
+ * Creates the ASF client of an instance, recording the latency and errors of its requests
+ * @param {object} settings - Instance settings from the config
+ * @returns {object} ASF client
+ */
+function createInstanceClient(settings) {
+  return createASFClient({
+    ...settings,
+    onRequest: ({ endpoint, seconds, error }) => {
+      metrics.asfRequestSeconds.observe({ instance: settings.name, endpoint }, seconds);
+      if (error) metrics.asfRequestErrors.inc({ instance: settings.name, endpoint });
+    }
+  });
+}
+
+/**
+ * Tests connection to an ASF instance with retry logic
+ * Attempts to connect up to 5 times with an increasing delay between attempts, and detects which IPC endpoints ASF supports
+ * @param {object} instance - ASF instance
+ */
+async function checkConnection(instance) {
+  const capabilities = await withRetry(() => instance.client.detectCapabilities(), {
+    description: `${instanceLabel(instance)}Connection check`,
+    attempts: 5,
+    delay: 5
+  });
+  instance.connected = true;
+  logger.info(`${instanceLabel(instance)}Connected to ASF ${capabilities.version ? "V" + capabilities.version : "(unknown version)"}, claiming through the ` +
+    (capabilities.nativeAddLicense ? "AddLicense endpoint" : "addlicense command"));
+}
+
+/**
+ * Waits for the configured bots of an ASF instance to be logged in, for at most `BOT_READY_TIMEOUT` seconds
+ * Bots that aren't ready by then (stopped, disabled, waiting for a 2FA code, ...) are skipped and checked again in the next run
+ * @param {object} instance - ASF instance
+ */
+async function checkUserLoggedIn(instance) {
+  const deadline = Date.now() + Number(config.botReadyTimeout) * 1000;
+  let asfStatus;
+  while (true) {
+    asfStatus = await withRetry(() => instance.client.getBotStatus(instance.bots), { description: `${instanceLabel(instance)}Reading bot status` });
+    const remaining = Math.ceil((deadline - Date.now()) / 1000);
+    if (asfStatus.isDone || remaining <= 0 || shuttingDown) break;
+    // Bots that were already connecting at the last check are stuck, waiting for them again would only delay every run
+    const connecting = Object.keys(asfStatus.user).filter(bot => !asfStatus.user[bot].isDone);
+    if (connecting.every(bot => instance.botStatus[bot] === asfStatus.user[bot].status)) break;
+
+    logger.info(`${instanceLabel(instance)}ASF users are still connecting to Steam network...`);
+    logger.info(`Waiting for ${Math.min(10, remaining)} seconds...`);
+    await sleep(Math.min(10, remaining));
+  }
+
+  for (const bot in asfStatus.user) {
+    logger.info(instanceLabel(instance) + bot + " - " + asfStatus.user[bot].status);
+  }
+  const bots = Object.keys(asfStatus.user);
+  const previousStatus = instance.botStatus;
+  const changed = bots.some(bot => previousStatus[bot] !== asfStatus.user[bot].status) || Object.keys(previousStatus).some(bot => !asfStatus.user[bot]);
+  instance.botStatus = Object.fromEntries(bots.map(bot => [bot, asfStatus.user[bot].status]));
+  instance.readyBots = bots.filter(bot => asfStatus.user[bot].ready);
+  instance.unknownBots = bots.filter(bot => asfStatus.user[bot].unknown);
+  instance.skippedBots = bots.filter(bot => !asfStatus.user[bot].ready && !asfStatus.user[bot].unknown);
+
+  const unknown = instance.unknownBots.filter(bot => previousStatus[bot] !== asfStatus.user[bot].status);
+  if (unknown.length > 0) {
+    await consoleAndWebhookAsync("warn", `ASF doesn't know the bots ${unknown.join(", ")}, they aren't claimed for. Check ASF_BOTS.`, undefined, instance);
+  }
+
+  if (instance.skippedBots.length === 0) {
+    logger.info(`${instanceLabel(instance)}All ASF users are connected and ready!`);
+    if (changed) {
+      await consoleAndWebhookAsync("info", "ASF users are logged in!", undefined, instance);
     }
+    return;
   }
+  const skipped = instance.skippedBots.map(bot => `${bot} (${asfStatus.user[bot].status})`).join(", ");
+  // Bots that stay offline are checked before every run, but only reported again once their status changes
+  if (!changed) {
+    logger.info(`${instanceLabel(instance)}Still skipping bots that aren't ready: ${skipped}.`);
+  } else if (instance.readyBots.length > 0) {
+    await consoleAndWebhookAsync("warn", `Skipping bots that aren't ready: ${skipped}. Claiming with ${instance.readyBots.join(", ")}, the skipped bots are retried in the next run.`, undefined, instance);
+  } else {
+    await consoleAndWebhookAsync("warn", `No bot is ready: ${skipped}. Will retry in the next run.`, undefined, instance);
+  }
+}
 
-  await consoleAndWebhookAsync("info", "ASF users are logged in!");
+/**
+ * Returns the log and notification prefix of an ASF instance
+ * @param {object} [instance] - ASF instance
+ * @returns {string} "[name] " for named instances, empty for a single unnamed one
+ */
+function instanceLabel(instance) {
+  return instance && instance.name ? `[${instance.name}] ` : "";
 }
 
 /**
@@ -413,285 +1376,166 @@ async function checkUserLoggedIn() {
  * @param {string} type - Log level: "error", "warn", or "info"
  * @param {string} msg - The message to log
  * @param {string} [licenseId] - Optional package/license info for webhook
+ * @param {object} [instance] - Optional ASF instance the message is about
  */
-async function consoleAndWebhookAsync(type, msg, pack) {
+async function consoleAndWebhookAsync(type, msg, pack, instance) {
   switch (type) {
     case "error":
-      logger.error(msg);
+      logger.error(instanceLabel(instance) + msg);
       break;
     case "warn":
-      logger.warn(msg);
+      logger.warn(instanceLabel(instance) + msg);
       break;
     case "info":
     default:
-      logger.info(msg);
+      logger.info(instanceLabel(instance) + msg);
       break;
   }
-  await sendHookAsync(type, msg, pack);
+  await sendHookAsync(type, msg, pack, undefined, instance);
 }
 
 /**
- * Sends a formatted message to Discord webhook if configured
+ * Sends a notification to every configured target that has the type enabled
  * @param {string} type - Message type: "error", "warn", "info", or "success"
  * @param {string} msg - The message content
  * @param {string} [licenseId] - Optional package/license identifier
  * @param {object} [asfResult] - Optional ASF result object for detailed status
+ * @param {object} [instance] - Optional ASF instance the message is about, named instances prefix the message
  */
-async function sendHookAsync(type, msg, licenseId, asfResult) {
-  if (!config.webhookUrl || config.webhookUrl == "none") {
+async function sendHookAsync(type, msg, licenseId, asfResult, instance) {
+  const targets = config.notifyTargets.filter(target => target.enabledTypes.includes(type));
+  if (targets.length === 0 || isQuietTime(config.quietHoursRange) || config.dryRun === "true" || cli.command !== "run") {
     return;
   }
 
-  var webhookConfig = {
-    username: "ASFClaim",
-    avatarUrl: "https://raw.githubusercontent.com/JustArchiNET/ArchiSteamFarm/main/resources/ASF_512x512.png",
-    color: {
-      error: "16711680", // #ff0000 -> Red
-      warn: "16750899", // #ff9933 -> Deep Saffron (Orange)
-      info: "255", // #0000ff -> Blue
-      success: "65280" // #00ff00 -> Green
-    }
+  const notification = {
+    type,
+    message: instanceLabel(instance) + msg,
+    instance: instance ? instance.name : null,
+    license: null,
+    apps: [],
+    results: asfResult ? groupResultsByStatus(asfResult) : null
   };
 
-  const license = {};
   if (licenseId) {
-    licenseId = licenseId.replace("a/", "app/");
-    licenseId = licenseId.replace("s/", "sub/");
-    licenseId = licenseId.replace(/^(\d+)$/, "sub/$1"); // If only the ID is delivered
-    license.type = licenseId.split("/")[0];
-    license.id = licenseId.split("/")[1];
+    Object.assign(notification, await describeLicenseAsync(licenseId));
   }
 
-  for (let typeIndex = 0; typeIndex < webhookEnabledTypes.length; typeIndex++) {
-    if (webhookEnabledTypes[typeIndex] == type && licenseId) {
-      let appMetadata = [];
-
-      if (license.type == "app") {
-        appMetadata = [await parseAppMetaAsync(license.id)];
-      } else {
-        appMetadata = await parseSubApps(license.id);
-      }
-
-      for (let metaIndex = 0; metaIndex < appMetadata.length; metaIndex++) {
-        const metaData = {
-          imageUrl: "https://placehold.co/460x215.jpg?text=Cant+load+image",
-          name: "Cant load name",
-          type: "Cant load type",
-          appId: (license.type == "app") ? license.id : null,
-          subId: (license.type == "sub") ? license.id : null,
-        };
-
-        if (appMetadata[metaIndex]) {
-          metaData.imageUrl = (appMetadata[metaIndex].header_image) ? appMetadata[metaIndex].header_image : metaData.imageUrl;
-          metaData.name = (appMetadata[metaIndex].name) ? appMetadata[metaIndex].name : metaData.name;
-          metaData.type = (appMetadata[metaIndex].type) ? appMetadata[metaIndex].type : metaData.type;
-          metaData.appId = (appMetadata[metaIndex].steam_appid) ? appMetadata[metaIndex].steam_appid : metaData.appId;
-        }
-
-        const description = {
-          name: "Name: " + metaData.name,
-          type: "Type: " + metaData.type,
-          id: "AppID: "
-        }
-        if (metaData.appId) {
-          description.id += "[" + metaData.appId + "](https://store.steampowered.com/app/" + metaData.appId + ")";
-        } else {
-          description.id += "Cant load AppID";
-        }
-        if (metaData.subId) {
-          description.id += " (from SubId: [" + metaData.subId + "](https://store.steampowered.com/sub/" + metaData.subId + "))";
-        }
-
-        const fields = [];
-        if (asfResult) {
-          const asfResultAsStatus = {};
-          for (const user in asfResult) {
-            if (!asfResultAsStatus[asfResult[user].status]) {
-              asfResultAsStatus[asfResult[user].status] = [user];
-            } else {
-              asfResultAsStatus[asfResult[user].status].push(user);
-            }
-          }
-          for (const status in asfResultAsStatus) {
-            let users = "";
-            for (const index in asfResultAsStatus[status]) {
-              users += asfResultAsStatus[status][index] + "\n";
-            }
-            users = users.replace(/\n$/, "");
-            fields.push({ name: status + ":", value: users })
-          }
-          if (fields.length == 1) {
-            fields[0].value = "Status for all accounts";
-          }
-        }
-
-        await sendWebhook(config.webhookUrl, {
-          method: "post",
-          body: JSON.stringify({
-            embeds: [{
-              title: msg,
-              color: webhookConfig.color[type],
-              image: {
-                url: metaData.imageUrl
-              },
-              description: description.name + "\n" + description.type + "\n" + description.id,
-              fields: fields
-            }],
-            username: webhookConfig.username,
-            avatar_url: webhookConfig.avatarUrl
-          }),
-          headers: {
-            "Content-Type": "application/json"
-          }
-        });
-      }
-    } else if (webhookEnabledTypes[typeIndex] == type) {
-      await sendWebhook(config.webhookUrl, {
-        method: "post",
-        body: JSON.stringify({
-          embeds: [{
-            title: msg,
-            color: webhookConfig.color[type]
-          }],
-          username: webhookConfig.username,
-          avatar_url: webhookConfig.avatarUrl
-        }),
-        headers: {
-          "Content-Type": "application/json"
-        }
-      });
-    }
-  }
+  await deliverNotificationAsync(targets, notification);
 }
 
 /**
- * Fetches app metadata from Steam Store API
- * @param {string} appId - Steam application ID
- * @returns {Promise<object>} App metadata object from Steam API
+ * Resolves the apps of a license through the Store metadata cache
+ * @param {string} licenseId - Package/license identifier
+ * @returns {Promise<{license: object, apps: object[]}>} Parsed license and its apps, with placeholders if unknown
  */
-async function parseAppMetaAsync(appId) {
-  return await fetch("https://store.steampowered.com/api/appdetails?appids=" + appId, {
-    method: "get",
-    headers: {
-      "Content-Type": "application/json"
-    }
-  })
-    .then(async res => res.json())
-    .then(async body => {
-      if (body != null && body[appId].success) {
-        return body[appId].data;
-      } else {
-        logger.warn("Warn: ");
-        logger.warn(body);
-        await sendHookAsync("warn", "Got none-success result from SteamAPI, check the logs for more informations");
-      }
-    })
-    .catch(async err => {
-      logger.warn("An error occurred while reading metadata from appId: " + appId);
-      logger.warn(err);
-      await sendHookAsync("warn", "An error occurred while connect to Steam API, check the logs for more informations.");
-    })
-}
-
-/**
- * Fetches package details and retrieves metadata for all apps in the package
- * @param {string} subId - Steam package/subscription ID
- * @returns {Promise<Array>} Array of app metadata objects
- */
-async function parseSubApps(subId) {
-  let packageApps = await fetch("https://store.steampowered.com/api/packagedetails?packageids=" + subId, {
-    method: "get",
-    headers: {
-      "Content-Type": "application/json"
-    }
-  })
-    .then(async res => res.json())
-    .then(async body => {
-      if (body != null && body[subId].success) {
-        return body[subId].data.apps;
-      } else {
-        logger.warn("Warn: ");
-        logger.warn(body);
-        await sendHookAsync("warn", "Got none-success result from SteamAPI, check the logs for more informations");
-        return [];
-      }
-    })
-    .catch(async err => {
-      logger.warn("An error occurred while reading metadata from subId: " + subId);
-      logger.warn(err);
-      await sendHookAsync("warn", "An error occurred while connect to Steam API, check the logs for more informations.");
-    })
-
-  const appMetadataResults = [];
-  for (let appIndex = 0; appIndex < packageApps.length; appIndex++) {
-    const appId = packageApps[appIndex].id;
-    const appResult = await parseAppMetaAsync(appId);
-    appMetadataResults.push(appResult);
+async function describeLicenseAsync(licenseId) {
+  const license = parseLicenseId(licenseId);
+  const appMetadata = (license.type == "app") ? [await getAppMetadata(license.id)] : (await getSubApps(license.id) || []);
+  let apps = appMetadata.map(metadata => describeApp(metadata, license));
+  if (apps.length === 0) {
+    // Still notify with placeholders if the Store API couldn't tell which apps the package contains
+    apps = [describeApp(undefined, license)];
   }
-
-  return appMetadataResults;
+  return { license, apps };
 }
 
 /**
- * Utility function to pause execution for specified number of seconds
- * @param {number} seconds - Number of seconds to sleep
- * @returns {Promise} Promise that resolves after the specified delay
+ * Starts collecting claim results for a digest notification if digest mode is enabled
+ * Every run, rate limit resume and gist change collects its own, so one finishing doesn't send another's partial digest
+ * @returns {object[]|null} Digest to pass to processClaimQueue() and flushDigest(), null if digest mode is disabled
  */
-function sleep(seconds) {
-  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+function startDigest() {
+  return config.webhookDigest === "true" ? [] : null;
 }
 
 /**
- * Parses ASF command result to extract license claiming status for each bot
- * @param {string} result - Raw result string from ASF addlicense command
- * @returns {object} Object mapping bot names to their license claiming results
+ * Sends the collected claim results as one summary notification
+ * Contains the number of bot results per status, the claimed titles and the failures
+ * @param {object[]|null} entries - Digest from startDigest()
  */
-function parseASFResult(result) {
-  const lines = result.split("\n");
-  const botResults = {};
-  for (let i in lines) {
-    const matchRes = (lines[i].match(/'?<(?<user>.+)>\s*(?:.*ID:\s+(?<id>\w+\/\d+)\s.+Status:\s+)?(?<status>.*?)(?:\\n|\n)?(?:'.*)?$/i));
-    if (matchRes) {
-      botResults[matchRes[1]] = {
-        id: matchRes[2],
-        status: (matchRes[3] != "OK") ? matchRes[3] : "OK -> Not available for this account" // Status "OK" is not always OK... | a real OK would be like "OK | Items: app/339610, sub/56865" or "OK/NoDetail"
+async function flushDigest(entries) {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  const targets = config.notifyTargets.filter(target => target.enabledTypes.includes("success"));
+  if (targets.length === 0 || isQuietTime(config.quietHoursRange)) {
+    return;
+  }
+
+  const digest = { statusCounts: {}, claimed: [], failures: [] };
+  const showBots = config.webhookShowAccountStatus === "true";
+  for (const { license, asfResult, instance } of entries) {
+    let anyClaimed = false;
+    for (const bot in asfResult) {
+      const status = asfResult[bot].status;
+      digest.statusCounts[status] = (digest.statusCounts[status] || 0) + 1;
+      if (isFailedStatus(status)) {
+        const botName = instance ? `${instance}/${bot}` : bot;
+        const failureStatus = showBots ? `${botName} -> ${status}` : (instance ? `[${instance}] ${status}` : status);
+        if (!digest.failures.some(failure => failure.code === license && failure.status === failureStatus)) {
+          digest.failures.push({ code: license, status: failureStatus });
+        }
+      } else {
+        anyClaimed = true;
       }
     }
+    if (anyClaimed) {
+      digest.claimed.push(...(await describeLicenseAsync(license)).apps);
+    }
   }
-  return botResults;
+
+  logger.info(`Sending claim summary for ${entries.length} packages...`);
+  await deliverNotificationAsync(targets, {
+    type: "success",
+    message: `Claim summary: ${entries.length} package(s) processed`,
+    digest
+  });
 }
 
 /**
- * Parses ASF status result to check if users are connected and ready
- * @param {string} result - Raw result string from ASF status command
- * @returns {object} Object containing user status info and overall readiness
- * @property {object} user - Map of bot names to their connection status
- * @property {boolean} isDone - Whether all bots are connected and ready
+ * Returns the options of the webhook queue from the config
+ * @returns {object} Options for configureWebhookQueue()
  */
-function parseASFStatus(result) {
-  const lines = result.split("\n");
-  const statusInfo = {
-    user: {},
-    isDone: true
+function webhookQueueOptions() {
+  return {
+    deadLetterFile: readOnly ? null : webhookDeadLetterFile,
+    retries: Number(config.webhookRetries),
+    onFailure: host => metrics.webhookFailures.inc({ host })
   };
+}
 
-  for (let i in lines) {
-    const matchRes = lines[i].match(/^.*<(?<user>.*)>\s*(?<status>.+?)[\.!?]*(?::.+)?(?:\\n.\s+\+)?$/i);
-
-    if (matchRes) {
-      statusInfo.user[matchRes[1]] = {
-        status: matchRes[2],
-        isDone: true
-      };
-
-      logger.info(matchRes[1] + " - " + matchRes[2]);
-
-      if (matchRes[2].match(/Bot is connecting to Steam network/i)) {
-        statusInfo.user[matchRes[1]].isDone = false;
-        statusInfo.isDone = false;
-      }
+/**
+ * Delivers a notification to the given targets through the rate-limited webhook queue
+ * @param {object[]} targets - Notification targets
+ * @param {object} notification - Notification to format for each target
+ */
+async function deliverNotificationAsync(targets, notification) {
+  for (const target of targets) {
+    for (const request of formatNotification(target, notification)) {
+      // A failing target is logged by the queue and must not keep the others from being notified
+      await sendWebhook(request.url, request.options).catch(() => {});
     }
   }
+}
 
-  return statusInfo;
+/**
+ * Formats a date for log and webhook messages
+ * @param {Date} date - Date to format
+ * @returns {string} Date like "Oct 19, 2026, 03:14 AM"
+ */
+function formatDate(date) {
+  return date.toLocaleString('en-US', {
+    hour: '2-digit', minute: '2-digit', hour12: true, month: 'short', day: 'numeric', year: 'numeric'
+  });
+}
+
+/**
+ * Utility function to pause execution for specified number of seconds
+ * @param {number} seconds - Number of seconds to sleep
+ * @returns {Promise} Promise that resolves after the specified delay
+ */
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
 }
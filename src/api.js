@@ -0,0 +1,151 @@
+import { createServer } from "http";
+import { createHash, timingSafeEqual } from "crypto";
+import logger from "./logger.js";
+import { historyToCsv } from "./history.js";
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} statusCode - HTTP status code
+ * @param {object} body - Body to serialize
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Checks the password of a protected request the same way ASF's IPC does,
+ * either through the `Authentication` header or the `password` query parameter
+ * The SHA-256 digests are compared in constant time, so neither the password nor its length can be timed
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {URL} url - Parsed request URL
+ * @param {string} password - Configured API password
+ * @returns {number} 0 if authorized, otherwise the HTTP status code to answer with
+ */
+function checkAuthentication(req, url, password) {
+  if (!password) {
+    return 403;
+  }
+  const given = req.headers["authentication"] || url.searchParams.get("password") || "";
+  const digest = value => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(given), digest(password)) ? 0 : 401;
+}
+
+/**
+ * Answers a protected request that isn't authorized
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {URL} url - Parsed request URL
+ * @param {string} password - Configured API password
+ * @returns {boolean} True if the request was rejected and answered
+ */
+function rejectUnauthorized(req, res, url, password) {
+  const authStatus = checkAuthentication(req, url, password);
+  if (authStatus === 403) {
+    sendJson(res, 403, { error: "Set API_PASSWORD to enable this endpoint" });
+  } else if (authStatus) {
+    logger.warn(`API: rejected ${req.method} ${url.pathname} with wrong password from ${req.socket.remoteAddress}`);
+    sendJson(res, 401, { error: "Unauthorized" });
+  }
+  return authStatus !== 0;
+}
+
+/**
+ * Starts the HTTP status and control API
+ * @param {object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Address to bind to
+ * @param {string} options.password - Password required for the endpoints that change state or cause outgoing requests
+ * @param {object} handlers - Callbacks into the claimer
+ * @param {function(): object} handlers.getHealth - Returns the health state, `healthy: false` or `asfReady: false`
+ *   answers with 503
+ * @param {function(): object} handlers.getStatus - Returns last run, next run and queue/ledger counts
+ * @param {function(): object[]} handlers.getLicenses - Returns the processed licenses with their per-bot results
+ * @param {function(boolean): Promise<object>} handlers.getPlan - Returns what the next run would claim, optionally with Store names
+ * @param {function(object): object[]} handlers.getHistory - Returns the claim history entries matching a filter
+ * @param {function(object): object} handlers.getHistoryStats - Returns the claim history summary per bot, status and month
+ * @param {function(): string} handlers.getMetrics - Returns the metrics in the Prometheus text format
+ * @param {function(): boolean} handlers.run - Starts a run, returns false if one is already running
+ * @param {function(string): boolean} handlers.retryLicense - Removes a code from the ledger, returns false if unknown
+ * @returns {http.Server} The listening server
+ */
+export function startApiServer({ port, host, password }, handlers) {
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+
+    try {
+      if (req.method === "GET" && path === "/health") {
+        const health = handlers.getHealth();
+        return sendJson(res, health.healthy && health.asfReady ? 200 : 503, health);
+      }
+      if (req.method === "GET" && path === "/status") {
+        return sendJson(res, 200, handlers.getStatus());
+      }
+      if (req.method === "GET" && path === "/licenses") {
+        return sendJson(res, 200, handlers.getLicenses());
+      }
+      if (req.method === "GET" && path === "/metrics") {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+        return res.end(handlers.getMetrics());
+      }
+      if (req.method === "GET" && path === "/plan") {
+        // Building the plan fetches every source and may query the Store API
+        if (rejectUnauthorized(req, res, url, password)) return;
+        return sendJson(res, 200, await handlers.getPlan(url.searchParams.get("names") === "true"));
+      }
+      if (req.method === "GET" && (path === "/history" || path === "/history/stats")) {
+        const filter = {};
+        for (const key of ["instance", "bot", "status", "since", "until"]) {
+          if (url.searchParams.get(key)) filter[key] = url.searchParams.get(key);
+        }
+        for (const key of ["since", "until"]) {
+          if (filter[key] && isNaN(new Date(filter[key]).getTime())) {
+            return sendJson(res, 400, { error: `'${key}' must be a date like 2024-01-31` });
+          }
+        }
+
+        if (path === "/history/stats") {
+          return sendJson(res, 200, handlers.getHistoryStats(filter));
+        }
+        const entries = handlers.getHistory(filter);
+        if (url.searchParams.get("format") === "csv") {
+          res.writeHead(200, { "Content-Type": "text/csv", "Content-Disposition": "attachment; filename=\"claimHistory.csv\"" });
+          return res.end(historyToCsv(entries));
+        }
+        return sendJson(res, 200, entries);
+      }
+
+      const retryMatch = path.match(/^\/licenses\/(.+)\/retry$/);
+      if (req.method === "POST" && (path === "/run" || retryMatch)) {
+        if (rejectUnauthorized(req, res, url, password)) return;
+
+        if (path === "/run") {
+          return handlers.run()
+            ? sendJson(res, 202, { message: "Run started" })
+            : sendJson(res, 409, { error: "A run is already in progress" });
+        }
+
+        const code = decodeURIComponent(retryMatch[1]);
+        return handlers.retryLicense(code)
+          ? sendJson(res, 200, { message: `${code} will be claimed again in the next run` })
+          : sendJson(res, 404, { error: `${code} is not in the processed licenses` });
+      }
+
+      return sendJson(res, 404, { error: "Not found" });
+    } catch (err) {
+      logger.error(`API: error handling ${req.method} ${path}: ${err.message}`);
+      return sendJson(res, 500, { error: "Internal server error" });
+    }
+  });
+
+  server.listen(port, host, () => {
+    logger.info(`HTTP API listening on ${host}:${port}`);
+  });
+  server.on("error", err => {
+    logger.error(`HTTP API error: ${err.message}`);
+  });
+
+  return server;
+}
@@ -0,0 +1,501 @@
+import logger from "./logger.js";
+import { FatalError, httpError } from "./resilience.js";
+
+// ASF version that added the `POST /Api/Bot/{botNames}/AddLicense` endpoint, older versions only have `/Api/Command`
+const NATIVE_ADD_LICENSE_VERSION = "5.2.0.0";
+
+// IDs asked for per owns command, keeps the command and ASF's response at a reasonable size
+const OWNS_BATCH_SIZE = 20;
+
+// Names of the SteamKit2 enum values ASF returns as numbers, unknown values are shown as numbers
+const ERESULT_NAMES = {
+  1: "OK", 2: "Fail", 3: "NoConnection", 8: "InvalidParam", 9: "FileNotFound", 10: "Busy", 11: "InvalidState",
+  15: "AccessDenied", 16: "Timeout", 20: "ServiceUnavailable", 21: "NotLoggedOn", 25: "LimitExceeded",
+  29: "DuplicateRequest", 48: "TryAnotherCM", 84: "RateLimitExceeded"
+};
+const PURCHASE_RESULT_DETAIL_NAMES = {
+  0: "NoDetail", 4: "Timeout", 5: "InvalidPackage", 9: "AlreadyPurchased", 13: "RestrictedCountry",
+  14: "BadActivationCode", 15: "DuplicateActivationCode", 24: "DoesNotOwnRequiredApp", 53: "RateLimited"
+};
+
+/**
+ * Compares two dotted version numbers
+ * @param {string} version - Version to check, e.g. "5.4.2.13"
+ * @param {string} minimum - Minimum version
+ * @returns {boolean} True if `version` is at least `minimum`
+ */
+function isVersionAtLeast(version, minimum) {
+  const parts = version.split(".").map(Number);
+  const minimumParts = minimum.split(".").map(Number);
+  for (let i = 0; i < minimumParts.length; i++) {
+    if ((parts[i] || 0) !== minimumParts[i]) {
+      return (parts[i] || 0) > minimumParts[i];
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns the name of a SteamKit2 enum value, ASF sends either the name or the number
+ * @param {string|number|undefined} value - Enum value
+ * @param {object} names - Names by number
+ * @returns {string|null} Name of the value, null if missing
+ */
+function enumName(value, names) {
+  if (value === undefined || value === null) return null;
+  return typeof value === "number" ? (names[value] || String(value)) : String(value);
+}
+
+/**
+ * Builds a typed bot result, keeping `status` in the format of the addlicense command so the ledger and
+ * notifications treat both endpoints the same
+ * @param {string} id - License ID like "app/123" or "sub/456"
+ * @param {string} status - Status text
+ * @param {string|null} result - EResult name
+ * @param {string|null} detail - EPurchaseResultDetail name, packages only
+ * @param {string[]} granted - Licenses Steam granted, e.g. ["app/123", "sub/456"]
+ * @returns {{id: string, status: string, result: string|null, detail: string|null, granted: string[]}} Bot result
+ */
+function botResult(id, status, result = null, detail = null, granted = []) {
+  return { id, status, result, detail, granted };
+}
+
+/**
+ * Converts one license entry of the AddLicense endpoint into a bot result
+ * @param {"app"|"sub"} type - License type
+ * @param {string} id - App or sub ID
+ * @param {*} entry - EResult, or an object with `Result`, `PurchaseResultDetail`, `GrantedApps` and `GrantedPackages`
+ * @returns {object} Bot result
+ */
+function parseNativeLicenseResult(type, id, entry) {
+  const licenseId = `${type}/${id}`;
+  if (entry === undefined || entry === null) {
+    return botResult(licenseId, "Unknown");
+  }
+
+  const fields = typeof entry === "object" ? entry : { Result: entry };
+  const result = enumName(fields.Result, ERESULT_NAMES);
+  const granted = [
+    ...(fields.GrantedApps || []).map(appId => "app/" + appId),
+    ...(fields.GrantedPackages || []).map(subId => "sub/" + subId)
+  ];
+
+  if (type === "sub") {
+    const detail = enumName(fields.PurchaseResultDetail, PURCHASE_RESULT_DETAIL_NAMES);
+    return botResult(licenseId, detail ? `${result}/${detail}` : result, result, detail, granted);
+  }
+  if (granted.length > 0) {
+    return botResult(licenseId, `${result} | Items: ${granted.join(", ")}`, result, null, granted);
+  }
+  // Like the command, a free license request without granted items didn't add anything
+  return botResult(licenseId, result === "OK" ? "OK -> Not available for this account" : result, result);
+}
+
+/**
+ * Parses ASF command result to extract license claiming status for each bot
+ * @param {string} result - Raw result string from ASF addlicense command
+ * @returns {object} Object mapping bot names to their license claiming results
+ */
+export function parseASFResult(result) {
+  const lines = result.split("\n");
+  const botResults = {};
+  for (let i in lines) {
+    const matchRes = (lines[i].match(/'?<(?<user>.+)>\s*(?:.*ID:\s+(?<id>\w+\/\d+)\s.+Status:\s+)?(?<status>.*?)(?:\\n|\n)?(?:'.*)?$/i));
+    if (matchRes) {
+      const status = (matchRes[3] != "OK") ? matchRes[3] : "OK -> Not available for this account"; // Status "OK" is not always OK... | a real OK would be like "OK | Items: app/339610, sub/56865" or "OK/NoDetail"
+      const typed = status.match(/^([A-Za-z]+)(?:\/([A-Za-z]+))?(?=$|\s*[|-])/);
+      const items = status.match(/Items:\s*(.+)$/);
+      botResults[matchRes[1]] = botResult(
+        matchRes[2],
+        status,
+        typed ? typed[1] : null,
+        typed && typed[2] ? typed[2] : null,
+        items ? items[1].split(",").map(item => item.trim()) : []
+      );
+    }
+  }
+  return botResults;
+}
+
+/**
+ * Parses the result of the owns command
+ * @param {string} result - Raw result string from `owns <bots> <app/ID,...>` or `owns <bots> <sub/ID,...>`
+ * @param {"app"|"sub"} type - Type of the IDs asked for, older ASF versions only show the ID
+ * @returns {object} Map of the bots that answered to the license codes they own, e.g. `{ main: ["a/440"] }`
+ */
+export function parseOwnsResult(result, type) {
+  const owned = {};
+  let bot = null;
+  for (const line of result.split("\n")) {
+    // Lines without a bot name belong to the bot before them
+    const botMatch = line.match(/<(?<bot>[^>]+)>/);
+    if (botMatch) bot = botMatch.groups.bot;
+
+    const matchRes = line.match(/(?<state>Owned already|Not owned yet):\s*(?:(?<type>app|sub)\/)?(?<id>\d+)/i);
+    if (!matchRes || !bot) continue;
+    owned[bot] = owned[bot] || [];
+    if (/^Owned/i.test(matchRes.groups.state)) {
+      owned[bot].push((matchRes.groups.type || type).charAt(0).toLowerCase() + "/" + matchRes.groups.id);
+    }
+  }
+  return owned;
+}
+
+// Statuses of bots that can't accept licenses right now
+const NOT_READY_STATUS = /not running|not connected|disconnected|offline|connecting|disabled|stopped|waiting|two-factor|2FA|couldn't find|not found/i;
+
+// Statuses of bots ASF doesn't know, e.g. after they were removed from ASF
+const UNKNOWN_BOT_STATUS = /couldn't find|not found/i;
+
+/**
+ * Parses ASF status result to check which bots are connected and ready
+ * @param {string} result - Raw result string from ASF status command
+ * @returns {object} Object containing user status info and overall readiness
+ * @property {object} user - Map of bot names to their `status`, whether they are `ready` to claim, whether ASF
+ *   doesn't know them (`unknown`) and `isDone` (false while the bot is still connecting)
+ * @property {boolean} isDone - Whether no bot is still connecting
+ */
+export function parseASFStatus(result) {
+  const lines = result.split("\n");
+  const statusInfo = {
+    user: {},
+    isDone: true
+  };
+
+  for (let i in lines) {
+    const matchRes = lines[i].match(/^.*<(?<user>.*)>\s*(?<status>.+?)[\.!?]*(?::.+)?(?:\\n.\s+\+)?$/i);
+
+    if (matchRes) {
+      statusInfo.user[matchRes[1]] = {
+        status: matchRes[2],
+        ready: !NOT_READY_STATUS.test(matchRes[2]),
+        unknown: UNKNOWN_BOT_STATUS.test(matchRes[2]),
+        isDone: true
+      };
+
+      if (matchRes[2].match(/Bot is connecting to Steam network/i)) {
+        statusInfo.user[matchRes[1]].isDone = false;
+        statusInfo.isDone = false;
+      }
+    }
+  }
+
+  return statusInfo;
+}
+
+// Settings of an ASF instance and the suffix of their numbered environment variables
+const INSTANCE_SETTINGS = {
+  protocol: "PROTOCOL",
+  host: "HOST",
+  port: "PORT",
+  password: "PASS",
+  prefix: "COMMAND_PREFIX",
+  bots: "BOTS"
+};
+
+/**
+ * Reads the ASF instances from numbered environment variables (`ASF_1_NAME`, `ASF_1_HOST`, `ASF_1_PORT`, ...)
+ * Settings an instance doesn't set are taken from the defaults, i.e. the unnumbered `ASF_*` variables
+ * @param {object} env - Environment variables, usually process.env
+ * @param {object} defaults - Settings with `protocol`, `host`, `port`, `password`, `prefix` and `bots`
+ * @returns {object[]} Instances with `name` and their settings, a single instance with `name: null` if none are numbered
+ * @throws {Error} If an instance has an invalid setting or two instances share a name
+ */
+export function loadASFInstances(env, defaults) {
+  const indexes = [...new Set(Object.keys(env)
+    .map(key => key.match(/^ASF_(\d+)_(NAME|PROTOCOL|HOST|PORT|PASS|COMMAND_PREFIX|BOTS)$/))
+    .filter(match => match)
+    .map(match => Number(match[1])))]
+    .sort((a, b) => a - b);
+
+  if (indexes.length === 0) {
+    const instance = { name: null, ...defaults };
+    validateASFInstance(instance, "ASF");
+    return [instance];
+  }
+
+  const instances = [];
+  for (const index of indexes) {
+    const prefix = `ASF_${index}_`;
+    const instance = { name: env[prefix + "NAME"] || `asf${index}` };
+    for (const [setting, suffix] of Object.entries(INSTANCE_SETTINGS)) {
+      instance[setting] = env[prefix + suffix] ? env[prefix + suffix] : defaults[setting];
+    }
+    validateASFInstance(instance, `ASF_${index}`);
+    if (instances.some(other => other.name === instance.name)) {
+      throw new Error(`ASF_${index}: instance name '${instance.name}' is used twice`);
+    }
+    instances.push(instance);
+  }
+  return instances;
+}
+
+/**
+ * Checks the settings of an ASF instance
+ * @param {object} instance - Instance settings
+ * @param {string} label - Variable prefix for error messages
+ * @throws {Error} If a setting is invalid
+ */
+function validateASFInstance(instance, label) {
+  if (instance.name !== null && !/^[\w.-]+$/.test(instance.name)) {
+    throw new Error(`${label}: name '${instance.name}' may only contain letters, digits, '_', '.' and '-'`);
+  }
+  if (!["http", "https"].includes(instance.protocol)) {
+    throw new Error(`${label}: protocol must be http or https, got '${instance.protocol}'`);
+  }
+  const port = Number(instance.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`${label}: port must be a number between 1 and 65535, got '${instance.port}'`);
+  }
+  if (!instance.bots) {
+    throw new Error(`${label}: no bots configured`);
+  }
+}
+
+/**
+ * Creates a client for ASF's IPC interface
+ * Uses the structured bot endpoints where the ASF version supports them and falls back to `/Api/Command` otherwise
+ * @param {object} options - Connection options
+ * @param {string} options.protocol - "http" or "https"
+ * @param {string} options.host - ASF host
+ * @param {string|number} options.port - IPC port
+ * @param {string} [options.password] - IPC password
+ * @param {string} [options.prefix="!"] - Command prefix for the command endpoint
+ * @param {function(object)} [options.onRequest] - Called after every request with its `endpoint` (bot names replaced
+ *   by `{bots}`), `seconds` and, if it failed, `error`
+ * @returns {object} ASF client
+ */
+export function createASFClient({ protocol, host, port, password = "", prefix = "!", onRequest = null }) {
+  const baseUrl = protocol + "://" + host + ":" + port;
+  const capabilities = {
+    version: null,
+    nativeBotStatus: false,
+    nativeAddLicense: false
+  };
+
+  /**
+   * Sends a request to the IPC interface and reports its latency to `onRequest`
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the IPC root, e.g. "/Api/ASF"
+   * @param {object} [payload] - JSON body
+   * @param {string} [description] - What is being requested, for error messages
+   * @returns {Promise<object>} Successful ASF response body
+   * @throws {Error} With `status` set for HTTP errors, FatalError for a wrong IPC password
+   */
+  async function request(method, path, payload, description = `${method} ${path}`) {
+    const start = Date.now();
+    let error = null;
+    try {
+      return await sendRequest(method, path, payload, description);
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      if (onRequest) {
+        onRequest({ endpoint: path.replace(/^\/Api\/Bot\/[^/]+/, "/Api/Bot/{bots}"), seconds: (Date.now() - start) / 1000, error });
+      }
+    }
+  }
+
+  /**
+   * Sends a request to the IPC interface, see request()
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the IPC base URL
+   * @param {object} [payload] - JSON body
+   * @param {string} description - What is requested, for error messages
+   * @returns {Promise<object>} Parsed response body
+   */
+  async function sendRequest(method, path, payload, description) {
+    let headers = { "Content-Type": "application/json" };
+    if (password && password.length > 0) {
+      headers.Authentication = password;
+    }
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      body: payload ? JSON.stringify(payload) : undefined,
+      headers
+    });
+    if (res.status === 401) {
+      throw new FatalError("ASF rejected the IPC password, please check ASF_PASS");
+    }
+    if (!res.ok) {
+      throw httpError(res, `ASF returned an error for ${description}`);
+    }
+
+    const body = await res.json();
+    if (!body.Success) {
+      throw new Error(`Got non-success result from ASF for ${description}: ${body.Message}`);
+    }
+    return body;
+  }
+
+  /**
+   * Checks whether an error means the ASF version doesn't have an endpoint
+   * @param {Error} err - Error thrown by request()
+   * @returns {boolean} True for 404 Not Found and 405 Method Not Allowed
+   */
+  function isUnsupported(err) {
+    return err.status === 404 || err.status === 405;
+  }
+
+  /**
+   * Returns the bot names as a path segment, keeping the commas ASF splits on
+   * @param {string} bots - Comma-separated bot names
+   * @returns {string} Encoded bot names
+   */
+  function botPath(bots) {
+    return bots.split(",").map(bot => encodeURIComponent(bot.trim())).join(",");
+  }
+
+  return {
+    /**
+     * Reads the ASF version and decides which endpoints to use, this doubles as the connection check
+     * @returns {Promise<object>} Capabilities with `version`, `nativeBotStatus` and `nativeAddLicense`
+     */
+    async detectCapabilities() {
+      try {
+        const body = await request("GET", "/Api/ASF");
+        const version = body.Result && body.Result.Version;
+        capabilities.version = version ? String(version) : null;
+        capabilities.nativeBotStatus = capabilities.version !== null;
+        capabilities.nativeAddLicense = capabilities.version !== null && isVersionAtLeast(capabilities.version, NATIVE_ADD_LICENSE_VERSION);
+      } catch (err) {
+        if (!isUnsupported(err)) throw err;
+        // ASF answered, but is too old to report its version
+        capabilities.version = null;
+        capabilities.nativeBotStatus = false;
+        capabilities.nativeAddLicense = false;
+      }
+      return { ...capabilities };
+    },
+
+    /**
+     * Returns the detected capabilities
+     * @returns {object} Capabilities with `version`, `nativeBotStatus` and `nativeAddLicense`
+     */
+    getCapabilities() {
+      return { ...capabilities };
+    },
+
+    /**
+     * Sends a command to ASF's command endpoint
+     * @param {string} command - Command without the prefix, e.g. "stats"
+     * @returns {Promise<object>} Successful ASF response body
+     */
+    async sendCommand(command) {
+      return request("POST", "/Api/Command", { Command: prefix + command }, `'${prefix + command}'`);
+    },
+
+    /**
+     * Returns the connection state of bots
+     * @param {string} bots - Comma-separated bot names, or "asf" for all bots
+     * @returns {Promise<object>} `user` maps bot names to `{status, ready, isDone}`, `isDone` is false while a bot is still connecting;
+     *   bots that were asked for but are unknown to ASF are listed as not ready
+     */
+    async getBotStatus(bots) {
+      let statusInfo = null;
+      if (capabilities.nativeBotStatus) {
+        try {
+          const body = await request("GET", "/Api/Bot/" + botPath(bots));
+          statusInfo = { user: {}, isDone: true };
+          for (const [name, bot] of Object.entries(body.Result || {})) {
+            // Bots waiting for input (e.g. a 2FA code) keep running without logging on
+            const connecting = !bot.IsConnectedAndLoggedOn && bot.KeepRunning;
+            let status = "Bot is not running";
+            if (bot.IsConnectedAndLoggedOn) {
+              status = "Bot is connected";
+            } else if (connecting) {
+              status = bot.RequiredInput ? "Bot is waiting for input, e.g. a 2FA code" : "Bot is connecting to Steam network";
+            }
+            statusInfo.user[name] = { status, ready: Boolean(bot.IsConnectedAndLoggedOn), unknown: false, isDone: !connecting };
+            if (connecting) statusInfo.isDone = false;
+          }
+        } catch (err) {
+          if (!isUnsupported(err)) throw err;
+          capabilities.nativeBotStatus = false;
+          logger.warn("ASF doesn't support the bot endpoint, falling back to the status command.");
+        }
+      }
+
+      if (!statusInfo) {
+        const body = await this.sendCommand("status " + bots);
+        statusInfo = parseASFStatus(body.Result || "");
+      }
+      // ASF leaves out bots it doesn't know
+      if (bots.toLowerCase() !== "asf") {
+        for (const name of bots.split(",").map(bot => bot.trim()).filter(Boolean)) {
+          statusInfo.user[name] = statusInfo.user[name] || { status: "Bot not found", ready: false, unknown: true, isDone: true };
+        }
+      }
+      return statusInfo;
+    },
+
+    /**
+     * Claims a free license
+     * @param {string} bots - Comma-separated bot names, or "asf" for all bots
+     * @param {string} license - Normalized license code, "a/<appId>" or "s/<subId>"
+     * @returns {Promise<{results: object, request: string, output: string}>} Typed result per bot,
+     * the request that was sent and ASF's response for logging
+     */
+    async addLicense(bots, license) {
+      const match = license.match(/^([as])\/(\d+)$/);
+      if (capabilities.nativeAddLicense && match) {
+        const type = match[1] === "a" ? "app" : "sub";
+        const payload = type === "app" ? { Apps: [Number(match[2])] } : { Packages: [Number(match[2])] };
+        const path = `/Api/Bot/${botPath(bots)}/AddLicense`;
+        try {
+          const body = await request("POST", path, payload, `addlicense ${bots} ${license}`);
+          const results = {};
+          for (const [name, response] of Object.entries(body.Result || {})) {
+            const entries = (type === "app" ? response.Apps : response.Packages) || {};
+            results[name] = parseNativeLicenseResult(type, match[2], entries[match[2]]);
+          }
+          if (bots.toLowerCase() !== "asf") {
+            // Bots ASF left out of the response didn't get the request, they are retried like offline bots
+            for (const bot of bots.split(",").map(name => name.trim())) {
+              if (!results[bot]) results[bot] = botResult(`${type}/${match[2]}`, "Bot is not connected");
+            }
+          }
+          return { results, request: `POST ${path} ${JSON.stringify(payload)}`, output: JSON.stringify(body.Result) };
+        } catch (err) {
+          if (err.status === 400) {
+            // E.g. unknown bot names, the command explains those better
+            logger.warn(`ASF rejected the AddLicense request (${err.message}), retrying with the addlicense command.`);
+          } else if (isUnsupported(err)) {
+            capabilities.nativeAddLicense = false;
+            logger.warn("ASF doesn't support the AddLicense endpoint, falling back to the addlicense command.");
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      const command = "addlicense " + bots + " " + license;
+      const body = await this.sendCommand(command);
+      return { results: parseASFResult(body.Result || ""), request: prefix + command, output: (body.Result || "").trim() };
+    },
+
+    /**
+     * Reads which licenses the bots already own through the owns command, asking for up to 20 IDs at a time
+     * Unlike addlicense, owns is answered from the bots' license lists and doesn't count against Steam's rate limit
+     * @param {string} bots - Comma-separated bot names, or "asf" for all bots
+     * @param {string[]} licenses - Normalized license codes, "a/<appId>" or "s/<subId>"
+     * @returns {Promise<object>} Map of the bots that answered to the codes they own, bots that aren't connected are left out
+     */
+    async getOwnedLicenses(bots, licenses) {
+      const owned = {};
+      for (const type of ["app", "sub"]) {
+        const ids = licenses.filter(license => license.startsWith(type.charAt(0) + "/")).map(license => license.slice(2));
+        for (let i = 0; i < ids.length; i += OWNS_BATCH_SIZE) {
+          const games = ids.slice(i, i + OWNS_BATCH_SIZE).map(id => type + "/" + id).join(",");
+          const body = await this.sendCommand("owns " + bots + " " + games);
+          for (const [bot, codes] of Object.entries(parseOwnsResult(body.Result || "", type))) {
+            owned[bot] = [...(owned[bot] || []), ...codes];
+          }
+        }
+      }
+      return owned;
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+
+/**
+ * Loads the persistent claim queue from disk
+ * @param {string} file - Path of the queue file
+ * @param {object} [options] - Load options
+ * @param {boolean} [options.readOnly=false] - Don't restore a corrupt file on disk, e.g. for dry runs
+ * @returns {object} Queue with pending codes in claim order and the current rate limit backoff state
+ */
+export function loadClaimQueue(file, { readOnly = false } = {}) {
+  try {
+    const data = readJsonFile(file, { readOnly }) || {};
+    return {
+      pending: Array.isArray(data.pending) ? data.pending : [],
+      pausedUntil: data.pausedUntil || null,
+      backoffLevel: data.backoffLevel || 0
+    };
+  } catch (err) {
+    logger.warn("Could not read claim queue, starting with an empty one: " + err.message);
+    return { pending: [], pausedUntil: null, backoffLevel: 0 };
+  }
+}
+
+/**
+ * Saves the claim queue to disk
+ * @param {string} file - Path of the queue file
+ * @param {object} queue - Claim queue
+ */
+export function saveClaimQueue(file, queue) {
+  writeJsonFile(file, queue);
+}
+
+/**
+ * Merges freshly fetched codes into the queue
+ * New codes are put in front so recently added packages are claimed first, queued codes keep their order
+ * @param {object} queue - Claim queue
+ * @param {string[]} codes - Codes that still need claiming, in priority order
+ * @param {function(string): boolean} isDone - Returns true for codes that no longer need claiming
+ */
+export function syncClaimQueue(queue, codes, isDone) {
+  const queued = new Set(queue.pending);
+  const newCodes = codes.filter(code => !queued.has(code));
+  queue.pending = [...newCodes, ...queue.pending.filter(code => !isDone(code))];
+}
+
+/**
+ * Removes a code from the queue after it was attempted
+ * @param {object} queue - Claim queue
+ * @param {string} code - License code
+ */
+export function removeFromClaimQueue(queue, code) {
+  queue.pending = queue.pending.filter(queuedCode => queuedCode !== code);
+}
+
+/**
+ * Checks whether claiming is paused because of a rate limit
+ * @param {object} queue - Claim queue
+ * @returns {boolean} True while the backoff delay hasn't passed yet
+ */
+export function isClaimingPaused(queue) {
+  return queue.pausedUntil !== null && new Date(queue.pausedUntil).getTime() > Date.now();
+}
+
+/**
+ * Pauses claiming after a rate limit, doubling the delay on every consecutive hit
+ * @param {object} queue - Claim queue
+ * @param {object} policy - Claim policy with `backoffMinutes` and `backoffMaxMinutes`
+ * @returns {Date} Time at which claiming resumes
+ */
+export function pauseClaiming(queue, policy) {
+  const delayMinutes = Math.min(policy.backoffMinutes * Math.pow(2, queue.backoffLevel), policy.backoffMaxMinutes);
+  const resumeAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+  queue.backoffLevel++;
+  queue.pausedUntil = resumeAt.toISOString();
+  return resumeAt;
+}
+
+/**
+ * Clears the backoff state after a claim went through without hitting the rate limit
+ * @param {object} queue - Claim queue
+ */
+export function resetBackoff(queue) {
+  queue.backoffLevel = 0;
+  queue.pausedUntil = null;
+}
@@ -0,0 +1,214 @@
+import { normalizeCode, parseCodeList } from "./codeList.js";
+import { listLicenses, markLicense, removeLicense } from "./ledger.js";
+
+export const CLI_USAGE = `Usage: bun index.js [command] [options]
+
+Commands:
+  run [--once]                     Start claiming on the configured schedule (default),
+                                   --once runs a single pass and exits, e.g. for cron
+  check                            Check the ASF connection and whether the bots are logged in
+  list [processed|pending]         List processed and pending codes
+  mark <code>...                   Mark codes as processed, so they are never claimed
+  unmark <code>...                 Remove codes from the processed licenses, so they are claimed again
+  import <file>                    Mark the codes in a file as processed: an exported ledger,
+                                   a JSON array or a code list like the package sources
+  export [file] [--format text]    Write the processed licenses as JSON (or the processed codes
+                                   one per line with --format text) to a file or stdout
+  help                             Show this help
+
+Options:
+  --instance <name>                Only use this ASF instance (default: all instances)`;
+
+// Commands with the number of positional arguments they take
+const COMMANDS = {
+  run: [0, 0],
+  check: [0, 0],
+  list: [0, 1],
+  mark: [1, Infinity],
+  unmark: [1, Infinity],
+  import: [1, 1],
+  export: [0, 1],
+  help: [0, 0]
+};
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, args: string[], once: boolean, instance: string|null, format: string}} Parsed command
+ * @throws {Error} If the command, an option or the number of arguments is invalid
+ */
+export function parseCliArgs(argv) {
+  const cli = { command: null, args: [], once: false, instance: null, format: "json" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      cli.command = "help";
+    } else if (arg === "--once") {
+      cli.once = true;
+    } else if (arg === "--instance" || arg === "--format") {
+      if (!argv[i + 1] || argv[i + 1].startsWith("--")) {
+        throw new Error(`${arg} needs a value`);
+      }
+      cli[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!cli.command) {
+      cli.command = arg;
+    } else {
+      cli.args.push(arg);
+    }
+  }
+  cli.command = cli.command || "run";
+
+  if (!COMMANDS[cli.command]) {
+    throw new Error(`Unknown command '${cli.command}'`);
+  }
+  const [min, max] = COMMANDS[cli.command];
+  if (cli.args.length < min || cli.args.length > max) {
+    throw new Error(`Wrong number of arguments for '${cli.command}'`);
+  }
+  if (cli.once && cli.command !== "run") {
+    throw new Error("--once only works with 'run'");
+  }
+  if (!["json", "text"].includes(cli.format)) {
+    throw new Error(`--format must be json or text, got '${cli.format}'`);
+  }
+  if (cli.command === "list" && cli.args[0] && !["processed", "pending"].includes(cli.args[0])) {
+    throw new Error(`'list' shows processed or pending codes, got '${cli.args[0]}'`);
+  }
+  return cli;
+}
+
+/**
+ * Picks the ASF instances a command works on
+ * @param {object[]} instances - All ASF instances
+ * @param {string|null} name - Name from --instance, null for all
+ * @returns {object[]} Selected instances
+ * @throws {Error} If no instance has that name
+ */
+export function selectInstances(instances, name) {
+  if (!name) return instances;
+  const selected = instances.filter(instance => instance.name === name);
+  if (selected.length === 0) {
+    throw new Error(`Unknown ASF instance '${name}', configured are: ${instances.map(instance => instance.name || "(unnamed)").join(", ")}`);
+  }
+  return selected;
+}
+
+/**
+ * Lists the processed and pending codes of the given instances
+ * Pending codes are those with bots left to claim for and those still waiting in the claim queue
+ * @param {object[]} instances - ASF instances with loaded `ledger` and `queue`
+ * @param {string} [which] - "processed" or "pending", both if omitted
+ * @returns {string} One line per code with its state and per-bot results
+ */
+export function formatLicenseList(instances, which) {
+  const lines = [];
+  for (const instance of instances) {
+    const label = instance.name ? `[${instance.name}] ` : "";
+    const licenses = listLicenses(instance.ledger, instance.bots);
+    const known = new Set(licenses.map(license => license.code));
+    for (const license of licenses) {
+      const state = license.complete ? "processed" : "pending";
+      if (which && which !== state) continue;
+      const results = Object.entries(license.bots).map(([bot, result]) => `${bot}: ${result.status}`).join(", ");
+      lines.push(`${label}${license.code}\t${state}\t${results}`);
+    }
+    if (which !== "processed") {
+      for (const code of instance.queue.pending.filter(code => !known.has(code))) {
+        lines.push(`${label}${code}\tpending\tqueued`);
+      }
+    }
+  }
+  return lines.length > 0 ? lines.join("\n") : "No codes found.";
+}
+
+/**
+ * Normalizes the codes given on the command line
+ * @param {string[]} codes - Codes like `a/123`, `app/123`, `s/123` or `123`
+ * @returns {string[]} Normalized codes
+ * @throws {Error} Listing the arguments that aren't license codes
+ */
+export function normalizeCliCodes(codes) {
+  const invalid = codes.filter(code => !normalizeCode(code));
+  if (invalid.length > 0) {
+    throw new Error(`Not a license code: ${invalid.join(", ")}`);
+  }
+  return codes.map(normalizeCode);
+}
+
+/**
+ * Marks codes as processed in a ledger
+ * @param {object} ledger - Claim ledger
+ * @param {string[]} codes - Normalized codes
+ */
+export function markCodes(ledger, codes) {
+  for (const code of codes) {
+    markLicense(ledger, code);
+  }
+}
+
+/**
+ * Removes codes from a ledger
+ * @param {object} ledger - Claim ledger
+ * @param {string[]} codes - Normalized codes
+ * @returns {number} Number of codes that were in the ledger
+ */
+export function unmarkCodes(ledger, codes) {
+  return codes.filter(code => removeLicense(ledger, code)).length;
+}
+
+/**
+ * Imports processed licenses into a ledger
+ * An exported ledger is merged as it is, with its per-bot results; codes from a JSON array or a code list
+ * in the format of the package sources are marked as processed for all bots
+ * @param {object} ledger - Claim ledger
+ * @param {string} content - File content
+ * @returns {{imported: number, invalid: string[]}} Number of imported codes and the entries that aren't license codes
+ */
+export function importLicenses(ledger, content) {
+  let data = null;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    // Not JSON, read it as a list of codes
+  }
+
+  if (data && !Array.isArray(data) && typeof data.licenses === "object") {
+    const invalid = [];
+    let imported = 0;
+    for (const [rawCode, results] of Object.entries(data.licenses)) {
+      const code = normalizeCode(rawCode);
+      if (!code) {
+        invalid.push(rawCode);
+        continue;
+      }
+      ledger.licenses[code] = { ...ledger.licenses[code], ...results };
+      imported++;
+    }
+    return { imported, invalid };
+  }
+
+  if (Array.isArray(data)) {
+    const codes = data.map(String).map(normalizeCode).filter(code => code);
+    markCodes(ledger, codes);
+    return { imported: codes.length, invalid: data.map(String).filter(code => !normalizeCode(code)) };
+  }
+  const { entries, invalid } = parseCodeList(content);
+  markCodes(ledger, entries.map(entry => entry.code));
+  return { imported: entries.length, invalid: invalid.map(line => `line ${line.line} (${line.reason})`) };
+}
+
+/**
+ * Exports the processed licenses of a ledger
+ * @param {object} ledger - Claim ledger
+ * @param {string} format - "json" for the ledger with per-bot results, "text" for the processed codes one per line
+ * @param {string} [bots] - Comma-separated bots of the instance, see listLicenses()
+ * @returns {string} Exported licenses
+ */
+export function exportLicenses(ledger, format, bots) {
+  if (format === "text") {
+    return listLicenses(ledger, bots).filter(license => license.complete).map(license => license.code).join("\n") + "\n";
+  }
+  return JSON.stringify({ version: 2, licenses: ledger.licenses }, null, 2) + "\n";
+}
@@ -0,0 +1,133 @@
+import logger from "./logger.js";
+
+// Annotations a line can carry after its codes
+const ANNOTATION = /^(?<key>expires|tags):(?<value>.*)$/i;
+
+// Invalid lines already reported, by source and line text, so they are only logged once
+const reportedLines = new Set();
+
+/**
+ * Normalizes a license code so the same package from different sources is only claimed once
+ * Accepts `a/123`, `app/123`, `s/123`, `sub/123` and bare IDs (which ASF treats as subs)
+ * @param {string} code - License code as found in a source
+ * @returns {string|null} Normalized code (`a/123` or `s/123`), or null if it isn't a license code
+ */
+export function normalizeCode(code) {
+  const match = code.trim().match(/^(?:(a|app|s|sub)\/)?(\d+)$/i);
+  if (!match) {
+    return null;
+  }
+  const type = (match[1] && match[1].toLowerCase().startsWith("a")) ? "a" : "s";
+  return type + "/" + match[2];
+}
+
+/**
+ * Parses an expiry date, a date is valid until the end of that day in the local time zone
+ * @param {string} value - `YYYY-MM-DD` or an ISO date and time like `2026-11-01T18:00Z`
+ * @returns {Date|null} Time the code expires, null if the value isn't a valid date
+ */
+function parseExpiry(value) {
+  const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    const start = new Date(year, month - 1, day);
+    // Rejects days the month doesn't have, which Date would roll over into the next month
+    if (start.getMonth() !== month - 1 || start.getDate() !== day) return null;
+    return new Date(year, month - 1, day + 1);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)) {
+    return null;
+  }
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Parses a code list
+ * Every line holds one or more codes separated by commas or whitespace, optionally followed by annotations and
+ * a comment, e.g. `a/123, s/456 expires:2026-11-01 tags:dlc,f2p # Weekend deal`. `#` starts a comment anywhere,
+ * blank lines are skipped. Lines with anything that isn't a code or a valid annotation are rejected as a whole.
+ * @param {string} content - Raw list
+ * @returns {{entries: object[], invalid: object[]}} Entries with the normalized `code`, its `line` number, `expiresAt`
+ *   (ISO string or null) and `tags`, in list order; invalid lines with `line`, `text` and `reason`
+ */
+export function parseCodeList(content) {
+  const entries = [];
+  const invalid = [];
+  content.split("\n").forEach((rawLine, index) => {
+    const text = rawLine.replace(/#.*$/, "").trim();
+    if (!text) return;
+
+    const codes = [];
+    const problems = [];
+    let expiresAt = null;
+    let tags = [];
+    for (const token of text.split(/\s+/)) {
+      const annotation = token.match(ANNOTATION);
+      if (!annotation) {
+        for (const rawCode of token.split(",").filter(code => code)) {
+          const code = normalizeCode(rawCode);
+          if (code) codes.push(code);
+          else problems.push(`'${rawCode}' is not a license code`);
+        }
+      } else if (annotation.groups.key.toLowerCase() === "expires") {
+        const expiry = parseExpiry(annotation.groups.value);
+        if (expiry) expiresAt = expiry.toISOString();
+        else problems.push(`'${annotation.groups.value}' is not a date like 2026-11-01`);
+      } else {
+        tags = annotation.groups.value.split(",").map(tag => tag.toLowerCase()).filter(tag => tag);
+        if (tags.length === 0 || tags.some(tag => !/^[\w-]+$/.test(tag))) {
+          problems.push(`'${annotation.groups.value}' is not a list of tags like dlc,f2p`);
+        }
+      }
+    }
+    if (codes.length === 0 && problems.length === 0) {
+      problems.push("no license code");
+    }
+
+    if (problems.length > 0) {
+      invalid.push({ line: index + 1, text: rawLine.trim(), reason: problems.join(", ") });
+      return;
+    }
+    for (const code of codes) {
+      entries.push({ code, line: index + 1, expiresAt, tags });
+    }
+  });
+  return { entries, invalid };
+}
+
+/**
+ * Logs the invalid lines of a code list, each line only the first time it is seen
+ * @param {string} sourceName - Name of the list, e.g. the source it was loaded from
+ * @param {object[]} invalid - Invalid lines from parseCodeList()
+ */
+export function reportInvalidLines(sourceName, invalid) {
+  for (const { line, text, reason } of invalid) {
+    const key = sourceName + "\n" + text;
+    if (reportedLines.has(key)) continue;
+    reportedLines.add(key);
+    logger.warn(`⚠️  Ignoring line ${line} of ${sourceName}: '${text}' (${reason})`);
+  }
+}
+
+/**
+ * Checks whether a code's expiry date has passed
+ * @param {{expiresAt: string|null}|undefined} entry - Entry from parseCodeList(), or undefined if unknown
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True if the code has expired
+ */
+export function isExpired(entry, now = new Date()) {
+  return Boolean(entry && entry.expiresAt) && new Date(entry.expiresAt) <= now;
+}
+
+/**
+ * Returns the codes an old `lastlength` file marked as processed
+ * `lastlength` counted the codes of the gist, not its lines, so blank lines, comments and annotations don't move
+ * the boundary
+ * @param {object[]} entries - Entries of the gist from parseCodeList(), in list order
+ * @param {number} lastLength - Number of codes that were processed
+ * @returns {string[]} Normalized codes
+ */
+export function legacyProcessedCodes(entries, lastLength) {
+  return entries.slice(0, lastLength).map(entry => entry.code);
+}
@@ -0,0 +1,328 @@
+import { readFileSync, watch } from "fs";
+import { basename, dirname, extname } from "path";
+import YAML from "yaml";
+import { parseSchedule, parseQuietHours } from "./scheduler.js";
+import { parseSourceList } from "./sources.js";
+import { loadNotifyTargets, validateNotifyTarget } from "./notifier.js";
+import { loadASFInstances } from "./asfClient.js";
+import { parseFilterRules } from "./filters.js";
+
+// Notification types a target can enable
+const NOTIFY_TYPES = ["error", "warn", "info", "success"];
+
+/**
+ * Every setting by its environment variable: the config key, type, default and allowed values
+ * Types: "string", "enum" (`values`), "boolean", "number"/"integer" (`min`, `max`, `exclusiveMin`), "url" (`allow` for
+ * non-URL keywords) and "list" (`separator`, optional `values`). Settings with `reload: false` need a restart to change.
+ */
+const CONFIG_SCHEMA = {
+  ASF_PROTOCOL: { key: "protocol", type: "enum", values: ["http", "https"], default: "http" },
+  ASF_HOST: { key: "host", type: "string", default: "localhost", required: true },
+  ASF_PORT: { key: "port", type: "integer", min: 1, max: 65535, default: "1242" },
+  ASF_PASS: { key: "pass", type: "string", default: "" },
+  ASF_COMMAND_PREFIX: { key: "prefix", type: "string", default: "!" },
+  ASF_BOTS: { key: "bots", type: "list", separator: ",", default: "asf" },
+  BOT_READY_TIMEOUT: { key: "botReadyTimeout", type: "number", min: 0, default: "120" },
+  ASF_CLAIM_INTERVAL: { key: "interval", type: "number", exclusiveMin: 0, default: "3" },
+  ASF_CLAIM_SCHEDULE: { key: "schedule", type: "string", default: "" },
+  ASF_CLAIM_JITTER: { key: "jitter", type: "number", min: 0, default: "0" },
+  QUIET_HOURS: { key: "quietHours", type: "string", default: "" },
+  GIST_ID: { key: "gistId", type: "string", pattern: /^[0-9a-f]+$/i, patternHint: "a hexadecimal Gist ID", default: "e8c5cf365d816f2640242bf01d8d3675" },
+  PACKAGE_SOURCES: { key: "sources", type: "list", separator: ";", default: "" },
+  GIST_POLL_INTERVAL: { key: "gistPollInterval", type: "number", min: 0, default: "0" },
+  FILTER_RULES: { key: "filterRules", type: "list", separator: ";", default: "" },
+  GITHUB_TOKEN: { key: "githubToken", type: "string", default: "", reload: false },
+  WEBHOOK_URL: { key: "webhookUrl", type: "url", allow: ["none"], default: "none" },
+  WEBHOOK_ENABLEDTYPES: { key: "webhookEnabledTypes", type: "list", separator: ";", values: NOTIFY_TYPES, default: "error;warn;success" },
+  WEBHOOK_SHOWACCOUNTSTATUS: { key: "webhookShowAccountStatus", type: "boolean", default: "true" },
+  WEBHOOK_RETRIES: { key: "webhookRetries", type: "integer", min: 0, default: "3" },
+  WEBHOOK_DIGEST: { key: "webhookDigest", type: "boolean", default: "false" },
+  CLAIM_BATCH_SIZE: { key: "claimBatchSize", type: "integer", min: 1, default: "40" },
+  CLAIM_DELAY: { key: "claimDelay", type: "number", min: 0, default: "2" },
+  CLAIM_BACKOFF: { key: "claimBackoff", type: "number", exclusiveMin: 0, default: "60" },
+  CLAIM_BACKOFF_MAX: { key: "claimBackoffMax", type: "number", exclusiveMin: 0, default: "360" },
+  OWNERSHIP_CHECK: { key: "ownershipCheck", type: "boolean", default: "true" },
+  DRY_RUN: { key: "dryRun", type: "boolean", default: "false", reload: false },
+  DRY_RUN_RESOLVE_NAMES: { key: "dryRunResolveNames", type: "boolean", default: "false", reload: false },
+  STORE_CACHE_TTL: { key: "storeCacheTtl", type: "number", min: 0, default: "168", reload: false },
+  STORAGE_BACKUPS: { key: "storageBackups", type: "integer", min: 0, default: "3" },
+  SHUTDOWN_TIMEOUT: { key: "shutdownTimeout", type: "number", min: 0, default: "8" },
+  LOG_LEVEL: { key: "logLevel", type: "enum", values: ["error", "warn", "info", "debug"], default: "info" },
+  LOG_FORMAT: { key: "logFormat", type: "enum", values: ["text", "json"], default: "text" },
+  LOG_FILE: { key: "logFile", type: "boolean", default: "false" },
+  LOG_FILE_SIZE: { key: "logFileSize", type: "number", exclusiveMin: 0, default: "10" },
+  LOG_FILE_COUNT: { key: "logFileCount", type: "integer", min: 1, default: "5" },
+  API_PORT: { key: "apiPort", type: "integer", min: 0, max: 65535, default: "0", reload: false },
+  API_HOST: { key: "apiHost", type: "string", default: "0.0.0.0", reload: false },
+  API_PASSWORD: { key: "apiPassword", type: "string", default: "", reload: false }
+};
+
+// Numbered settings that are validated by the ASF instance and notification target loaders
+const NUMBERED_SETTING = /^(ASF_\d+_(NAME|PROTOCOL|HOST|PORT|PASS|COMMAND_PREFIX|BOTS)|NOTIFY_\d+_(TYPE|URL|TOKEN|CHATID|ENABLEDTYPES))$/;
+
+/**
+ * Reads a YAML or JSON config file whose keys are the environment variable names
+ * Lists are joined with the separator of their setting, other values are converted to strings like environment variables
+ * @param {string} file - Path of the config file, `.json` files are parsed as JSON and everything else as YAML
+ * @returns {object} Settings by environment variable name
+ * @throws {Error} If the file can't be read or parsed, or contains unknown settings
+ */
+export function readConfigFile(file) {
+  const content = readFileSync(file, "utf8");
+  let data;
+  try {
+    data = extname(file).toLowerCase() === ".json" ? JSON.parse(content) : YAML.parse(content);
+  } catch (err) {
+    throw new Error(`${file} is not valid ${extname(file).toLowerCase() === ".json" ? "JSON" : "YAML"}: ${err.message}`);
+  }
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${file} must contain a mapping of settings like ASF_HOST: localhost`);
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [name, value] of Object.entries(data)) {
+    if (!CONFIG_SCHEMA[name] && !NUMBERED_SETTING.test(name)) {
+      errors.push(`${name}: unknown setting`);
+    } else if (Array.isArray(value)) {
+      const separator = CONFIG_SCHEMA[name] && CONFIG_SCHEMA[name].type === "list" ? CONFIG_SCHEMA[name].separator : null;
+      if (!separator) {
+        errors.push(`${name}: must be a single value, not a list`);
+      } else {
+        values[name] = value.map(String).join(separator);
+      }
+    } else if (value !== null && typeof value === "object") {
+      errors.push(`${name}: must be a single value, not a mapping`);
+    } else {
+      values[name] = value === null ? "" : String(value);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings in ${file}:\n  - ` + errors.join("\n  - "));
+  }
+  return values;
+}
+
+/**
+ * Checks one setting against its schema entry
+ * @param {string} name - Environment variable name
+ * @param {object} spec - Schema entry
+ * @param {string} value - Value to check
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateSetting(name, spec, value) {
+  if (spec.required && !value) {
+    return `${name}: must not be empty`;
+  }
+  switch (spec.type) {
+    case "enum":
+      return spec.values.includes(value) ? null : `${name}: must be one of ${spec.values.join(", ")}, got '${value}'`;
+    case "boolean":
+      return ["true", "false"].includes(value) ? null : `${name}: must be true or false, got '${value}'`;
+    case "number":
+    case "integer": {
+      const number = Number(value);
+      if (value.trim() === "" || isNaN(number) || (spec.type === "integer" && !Number.isInteger(number))) {
+        return `${name}: must be ${spec.type === "integer" ? "a whole number" : "a number"}, got '${value}'`;
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.exclusiveMin !== undefined && number <= spec.exclusiveMin) ||
+        (spec.max !== undefined && number > spec.max)) {
+        const lower = spec.exclusiveMin !== undefined ? `greater than ${spec.exclusiveMin}` : (spec.min !== undefined ? `at least ${spec.min}` : null);
+        const upper = spec.max !== undefined ? `at most ${spec.max}` : null;
+        return `${name}: must be ${[lower, upper].filter(part => part).join(" and ")}, got '${value}'`;
+      }
+      return null;
+    }
+    case "url":
+      if (spec.allow && spec.allow.includes(value)) return null;
+      try {
+        const url = new URL(value);
+        return ["http:", "https:"].includes(url.protocol) ? null : `${name}: must be an http or https URL, got '${value}'`;
+      } catch {
+        return `${name}: must be a URL${spec.allow ? " or " + spec.allow.join(", ") : ""}, got '${value}'`;
+      }
+    case "list":
+      if (spec.values) {
+        const invalid = value.split(spec.separator).map(item => item.trim()).filter(item => item && !spec.values.includes(item));
+        if (invalid.length > 0) {
+          return `${name}: unknown value(s) ${invalid.join(", ")}, allowed are ${spec.values.join(", ")}`;
+        }
+      }
+      return null;
+    default:
+      if (spec.pattern && value && !spec.pattern.test(value)) {
+        return `${name}: must be ${spec.patternHint}, got '${value}'`;
+      }
+      return null;
+  }
+}
+
+/**
+ * Builds the configuration from environment variables and an optional config file
+ * Environment variables take precedence over the file, empty values count as unset
+ * @param {object} env - Environment variables, usually process.env
+ * @param {string} [file] - Path of a YAML or JSON config file
+ * @returns {object} Configuration with the raw settings and the parsed `claimSchedule`, `quietHoursRange`, `claimPolicy`,
+ *   `notifyTargets`, `asfInstances`, `packageSources` and `filters`
+ * @throws {Error} Listing every invalid setting
+ */
+export function loadConfig(env, file) {
+  const fileValues = file ? readConfigFile(file) : {};
+  const merged = { ...fileValues };
+  for (const [name, value] of Object.entries(env)) {
+    if (value) merged[name] = value;
+  }
+
+  const config = { configFile: file || "" };
+  const errors = [];
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    let value = merged[name] ? String(merged[name]).trim() : spec.default;
+    if (spec.type === "boolean" || spec.type === "enum") {
+      value = value.toLowerCase();
+    }
+    const error = validateSetting(name, spec, value);
+    if (error) {
+      errors.push(error);
+    }
+    config[spec.key] = value;
+  }
+
+  /**
+   * Runs a parser of a combined setting, collecting its error
+   * @param {string} names - Settings the parser reads, for the error message
+   * @param {function(): *} parser - Parser
+   * @returns {*} Parsed value, undefined if it failed
+   */
+  const parse = (names, parser) => {
+    try {
+      return parser();
+    } catch (err) {
+      errors.push(`${names}: ${err.message}`);
+    }
+  };
+
+  if (errors.length === 0) {
+    config.claimSchedule = parse("ASF_CLAIM_SCHEDULE", () => parseSchedule(config.schedule, Number(config.interval)));
+    config.quietHoursRange = parse("QUIET_HOURS", () => parseQuietHours(config.quietHours));
+    config.claimPolicy = {
+      batchSize: Number(config.claimBatchSize),
+      delay: Number(config.claimDelay),
+      backoffMinutes: Number(config.claimBackoff),
+      backoffMaxMinutes: Math.max(Number(config.claimBackoffMax), Number(config.claimBackoff))
+    };
+    config.notifyTargets = parse("NOTIFY_*", () => {
+      const targets = loadNotifyTargets(merged);
+      if (config.webhookUrl !== "none") {
+        // WEBHOOK_URL is kept as the first Discord target
+        const legacyTarget = { name: "WEBHOOK", type: "discord", url: config.webhookUrl, enabledTypes: config.webhookEnabledTypes.split(";") };
+        validateNotifyTarget(legacyTarget);
+        targets.unshift(legacyTarget);
+      }
+      return targets;
+    });
+    config.asfInstances = parse("ASF_*", () => loadASFInstances(merged, {
+      protocol: config.protocol,
+      host: config.host,
+      port: config.port,
+      password: config.pass,
+      prefix: config.prefix,
+      bots: config.bots
+    }));
+    config.packageSources = parse("PACKAGE_SOURCES", () => parseSourceList(config.sources || "gist:" + config.gistId));
+    config.filters = parse("FILTER_RULES", () => parseFilterRules(config.filterRules));
+  }
+
+  if (errors.length > 0) {
+    throw new Error("Invalid configuration:\n  - " + errors.join("\n  - "));
+  }
+  return config;
+}
+
+/**
+ * Returns the secret parts of a URL: the password, and path segments and query values long enough to be tokens
+ * (like the token of a Discord or Slack webhook URL)
+ * @param {string} url - URL, anything else yields no secrets
+ * @returns {string[]} Secrets
+ */
+function urlSecrets(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [];
+  }
+  return [
+    decodeURIComponent(parsed.password),
+    ...parsed.pathname.split("/").filter(segment => segment.length >= 16),
+    ...[...parsed.searchParams.values()].filter(value => value.length >= 16)
+  ].filter(secret => secret);
+}
+
+/**
+ * Lists the secrets of a configuration that must not show up in the logs
+ * @param {object} config - Configuration from loadConfig()
+ * @returns {string[]} ASF IPC passwords, the GitHub token, the API password and the tokens of the notification targets
+ */
+export function collectSecrets(config) {
+  const secrets = [config.githubToken, config.apiPassword];
+  for (const instance of config.asfInstances || []) {
+    secrets.push(instance.password);
+  }
+  for (const target of config.notifyTargets || []) {
+    secrets.push(target.token, ...urlSecrets(target.url));
+  }
+  return secrets.filter(secret => secret);
+}
+
+/**
+ * Applies a newly loaded configuration to the one in use
+ * Settings that need a restart keep their current value
+ * @param {object} current - Configuration in use, updated in place
+ * @param {object} next - Newly loaded configuration
+ * @returns {{changed: string[], restartRequired: string[]}} Environment variable names of the changed settings,
+ *   and of those that only take effect after a restart ("ASF_*" and "NOTIFY_*" stand for the numbered settings)
+ */
+export function applyConfig(current, next) {
+  const changed = [];
+  const restartRequired = [];
+  const keep = {};
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (current[spec.key] === next[spec.key]) continue;
+    changed.push(name);
+    if (spec.reload === false) {
+      restartRequired.push(name);
+      keep[spec.key] = current[spec.key];
+    }
+  }
+  if (JSON.stringify(current.asfInstances) !== JSON.stringify(next.asfInstances)) changed.push("ASF_*");
+  if (JSON.stringify(current.notifyTargets) !== JSON.stringify(next.notifyTargets)) changed.push("NOTIFY_*");
+
+  Object.assign(current, next, keep);
+  return { changed, restartRequired };
+}
+
+/**
+ * Calls a function when the config file changes or the process receives SIGHUP
+ * Watches the directory instead of the file, since editors often replace the file instead of writing to it
+ * @param {string} file - Path of the config file
+ * @param {function(string): void} onReload - Called with the reason, changes within half a second are combined
+ */
+export function watchConfigFile(file, onReload) {
+  let timer = null;
+  const trigger = reason => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onReload(reason), 500);
+  };
+
+  process.on("SIGHUP", () => trigger("SIGHUP"));
+  try {
+    watch(dirname(file), (event, filename) => {
+      if (filename === basename(file)) trigger("file change");
+    }).unref();
+  } catch {
+    // Watching isn't supported everywhere (e.g. some network file systems), SIGHUP still works
+  }
+}
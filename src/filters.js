@@ -0,0 +1,153 @@
+// Fields a rule can match on, `tag` matches the tags from the code list and the metadata fields need the Steam Store API
+const ID_FIELDS = ["app", "sub"];
+const TAG_FIELD = "tag";
+const METADATA_FIELDS = ["type", "name", "developer", "publisher"];
+
+// Store metadata field of every metadata rule field
+const METADATA_VALUES = {
+  type: app => [app.type],
+  name: app => [app.name],
+  developer: app => app.developers || [],
+  publisher: app => app.publishers || []
+};
+
+/**
+ * Converts a rule pattern to a regular expression
+ * `/.../` patterns are used as they are (case-insensitive), everything else is matched as a whole
+ * with `*` as wildcard, ignoring case
+ * @param {string} pattern - Pattern from the rule
+ * @returns {RegExp} Regular expression
+ * @throws {Error} If a `/.../` pattern is not a valid regular expression
+ */
+function patternToRegExp(pattern) {
+  const regex = pattern.match(/^\/(.+)\/$/);
+  if (regex) {
+    return new RegExp(regex[1], "i");
+  }
+  const escaped = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp("^" + escaped + "$", "i");
+}
+
+/**
+ * Parses filter rules like `exclude:type:music,demo`, `alt1,alt2:exclude:publisher:Ubisoft*` or `main:include:app:10,20`
+ * Every rule is `[<bots>:]<include|exclude>:<field>:<values>`, where the field is `app`, `sub`, `tag`, `type`, `name`,
+ * `developer` or `publisher` and the values are comma-separated IDs, types or patterns (a `/.../` regex is taken as one value)
+ * @param {string} value - Semicolon-separated rules
+ * @returns {object[]} Rules with `text`, `bots` (null for all bots), `action`, `field` and `matchers`
+ * @throws {Error} Listing the rules that can't be parsed
+ */
+export function parseFilterRules(value) {
+  const rules = [];
+  const errors = [];
+  for (const text of value.split(";").map(rule => rule.trim()).filter(rule => rule)) {
+    const match = text.match(/^(?:(?<bots>[\w.,-]+?)\s*:\s*)?(?<action>include|exclude)\s*:\s*(?<field>\w+)\s*:\s*(?<values>.+)$/i);
+    if (!match) {
+      errors.push(`'${text}' must look like [bots:]include|exclude:field:values`);
+      continue;
+    }
+    const field = match.groups.field.toLowerCase();
+    if (!ID_FIELDS.includes(field) && field !== TAG_FIELD && !METADATA_FIELDS.includes(field)) {
+      errors.push(`'${text}' has unknown field '${field}', allowed are ${[...ID_FIELDS, TAG_FIELD, ...METADATA_FIELDS].join(", ")}`);
+      continue;
+    }
+
+    const values = /^\/.+\/$/.test(match.groups.values.trim())
+      ? [match.groups.values.trim()]
+      : match.groups.values.split(",").map(item => item.trim()).filter(item => item);
+    if (ID_FIELDS.includes(field) && values.some(id => !/^\d+$/.test(id))) {
+      errors.push(`'${text}' must list numeric ${field} IDs`);
+      continue;
+    }
+    let matchers;
+    try {
+      matchers = ID_FIELDS.includes(field) ? values : values.map(patternToRegExp);
+    } catch (err) {
+      errors.push(`'${text}' has an invalid pattern: ${err.message}`);
+      continue;
+    }
+
+    rules.push({
+      text,
+      bots: match.groups.bots ? match.groups.bots.split(",").filter(bot => bot) : null,
+      action: match.groups.action.toLowerCase(),
+      field,
+      matchers
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join(", "));
+  }
+  return rules;
+}
+
+/**
+ * Checks whether a rule matches a license
+ * Metadata rules match a package if any of its apps matches for `include` rules, but only if all of them match
+ * for `exclude` rules, so excluding soundtracks doesn't skip a game that comes with one
+ * @param {object} rule - Rule from parseFilterRules()
+ * @param {{type: string, id: string, tags: string[]}} license - License from parseLicenseId() with its tags from the code list
+ * @param {Array<object|null>} [apps] - Store metadata of the license's apps, null entries for apps the Store doesn't know
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, license, apps) {
+  if (ID_FIELDS.includes(rule.field)) {
+    return license.type === rule.field && rule.matchers.includes(String(Number(license.id)));
+  }
+  if (rule.field === TAG_FIELD) {
+    return (license.tags || []).some(tag => rule.matchers.some(regex => regex.test(tag)));
+  }
+  const appMatches = app => Boolean(app) && METADATA_VALUES[rule.field](app).some(value =>
+    typeof value === "string" && rule.matchers.some(regex => regex.test(value)));
+  if (apps.length === 0) {
+    return false;
+  }
+  return rule.action === "exclude" ? apps.every(appMatches) : apps.some(appMatches);
+}
+
+/**
+ * Returns the rules that apply to a bot, i.e. the ones for all bots and the ones naming it
+ * @param {object[]} rules - Rules from parseFilterRules()
+ * @param {string} bot - Bot name
+ * @returns {object[]} Rules that apply to the bot
+ */
+function rulesForBot(rules, bot) {
+  return rules.filter(rule => !rule.bots || rule.bots.includes(bot));
+}
+
+/**
+ * Decides for every bot whether a license is claimed, checking its rules in order:
+ * a matching `exclude` rule skips the license, and bots with `include` rules only get licenses one of them matches
+ * @param {object[]} rules - Rules from parseFilterRules()
+ * @param {string[]} bots - Bots the license would be claimed for
+ * @param {{type: string, id: string, tags: string[]}} license - License from parseLicenseId() with its tags from the code list
+ * @param {function(): Promise<Array|undefined>} loadApps - Loads the Store metadata of the license's apps,
+ *   resolves to undefined while the Store API is unavailable; only called if a metadata rule applies
+ * @returns {Promise<object>} Map of the bots that don't get the license to their status, `Skipped: ...` with the rule
+ *   that excluded it, or `Deferred: ...` if the Store metadata needed to decide is unavailable
+ */
+export async function evaluateFilterRules(rules, bots, license, loadApps) {
+  const decisions = {};
+  let apps = null;
+  for (const bot of bots) {
+    const botRules = rulesForBot(rules, bot);
+    if (botRules.length === 0) continue;
+
+    if (apps === null && botRules.some(rule => METADATA_FIELDS.includes(rule.field))) {
+      apps = await loadApps();
+    }
+    if (apps === undefined && botRules.some(rule => METADATA_FIELDS.includes(rule.field))) {
+      decisions[bot] = { status: "Deferred: Store metadata unavailable" };
+      continue;
+    }
+
+    const excluding = botRules.find(rule => rule.action === "exclude" && matchesRule(rule, license, apps || []));
+    const includeRules = botRules.filter(rule => rule.action === "include");
+    if (excluding) {
+      decisions[bot] = { status: `Skipped: excluded by ${excluding.text}` };
+    } else if (includeRules.length > 0 && !includeRules.some(rule => matchesRule(rule, license, apps || []))) {
+      decisions[bot] = { status: "Skipped: not matched by any include rule" };
+    }
+  }
+  return decisions;
+}
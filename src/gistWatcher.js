@@ -0,0 +1,122 @@
+import { createHash } from "crypto";
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+import { parseSourceCodes } from "./sources.js";
+import { describeError } from "./resilience.js";
+
+/**
+ * Loads the persisted ETags and content hashes of the watched gists
+ * @param {string} file - Path of the state file
+ * @returns {object} Map of `<gist id>/<file>` to `{etag, hash, pendingHash, changedAt}`
+ */
+function loadWatchState(file) {
+  try {
+    return readJsonFile(file) || {};
+  } catch (err) {
+    logger.warn("Could not read the gist watch state, starting fresh: " + err.message);
+    return {};
+  }
+}
+
+/**
+ * Returns the SHA-256 hash of a gist file
+ * @param {string} content - File content
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Starts polling the gist sources with conditional requests, to notice new codes between the scheduled runs
+ * A request with the last ETag is answered with `304 Not Modified` while the gist is unchanged, which doesn't count
+ * against GitHub's rate limit. The file is only parsed when its content hash changed, as the ETag also changes
+ * for edits of other files. The first poll of a gist only records its state. The ETag is stored even when a change
+ * can't be handled yet (`pendingHash`), its content is kept in memory and handed to onChange again on the next 304.
+ * @param {object} options - Watcher options
+ * @param {object[]} options.sources - Package sources, only the gist sources are watched
+ * @param {object} options.octokit - GitHub client
+ * @param {string} options.stateFile - File the ETags and content hashes are kept in
+ * @param {number} options.interval - Seconds between two polls of a gist
+ * @param {function(object, object[]): Promise<boolean>} options.onChange - Called with the source and its entries from
+ *   parseCodeList() when the content changed, resolves to false if the change can't be handled now, so the next poll reports it again
+ * @returns {{stop: function()}|null} Watcher, null if no gist source is configured
+ */
+export function startGistWatcher({ sources, octokit, stateFile, interval, onChange }) {
+  const gists = sources.filter(source => source.type === "gist");
+  if (gists.length === 0) return null;
+
+  const state = loadWatchState(stateFile);
+  // Content of the gists with a change onChange didn't handle yet, by state key
+  const pendingContent = new Map();
+  const failing = new Set();
+  let timer = null;
+  let stopped = false;
+
+  /**
+   * Polls a gist and reports a content change
+   * @param {object} source - Gist source
+   */
+  async function pollSource(source) {
+    const key = `${source.id}/${source.file}`;
+    const known = state[key] || {};
+    // After a restart the content of a pending change is gone, so it is fetched again in full
+    const conditional = known.etag && (!known.pendingHash || pendingContent.has(key));
+    let content;
+    let etag = known.etag;
+    try {
+      const response = await octokit.gists.get({ gist_id: source.id, headers: conditional ? { "if-none-match": known.etag } : {} });
+      const file = response.data.files[source.file];
+      if (!file) {
+        throw new Error(`File '${source.file}' not found in Gist '${source.id}'`);
+      }
+      content = file.content;
+      etag = response.headers.etag || null;
+    } catch (err) {
+      if (err.status !== 304) throw err;
+      if (!known.pendingHash) return;
+      content = pendingContent.get(key);
+    }
+
+    const hash = hashContent(content);
+    if (known.hash && known.hash !== hash && !(await onChange(source, parseSourceCodes(source, content)))) {
+      pendingContent.set(key, content);
+      state[key] = { ...known, etag, pendingHash: hash };
+      writeJsonFile(stateFile, state);
+      return;
+    }
+    pendingContent.delete(key);
+    state[key] = { etag, hash, changedAt: known.hash === hash ? known.changedAt : new Date().toISOString() };
+    writeJsonFile(stateFile, state);
+  }
+
+  /**
+   * Polls all gists and arms the next poll, failures are only logged once until the gist can be read again
+   */
+  async function poll() {
+    for (const source of gists) {
+      try {
+        await pollSource(source);
+        if (failing.delete(source.name)) {
+          logger.info(`Watching ${source.name} for changes again.`);
+        }
+      } catch (err) {
+        if (!failing.has(source.name)) {
+          failing.add(source.name);
+          logger.warn(`⚠️  Could not poll ${source.name} for changes, new codes wait for the next run: ${describeError(err)}`);
+        }
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, interval * 1000);
+    }
+  }
+
+  poll();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
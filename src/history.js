@@ -0,0 +1,121 @@
+import { appendFileSync, readFileSync } from "fs";
+import logger from "./logger.js";
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ["time", "instance", "code", "bot", "status", "name", "type"];
+
+/**
+ * Appends claim attempts to the history file, one JSON object per line
+ * Appending keeps every earlier line intact, so a crash can at most lose the line being written
+ * @param {string} file - Path of the history file
+ * @param {object[]} entries - Entries with `time`, `instance`, `code`, `bot`, `status`, `name` and `type`
+ */
+export function appendHistory(file, entries) {
+  if (entries.length === 0) return;
+  appendFileSync(file, entries.map(entry => JSON.stringify(entry)).join("\n") + "\n");
+}
+
+/**
+ * Creates history entries for every bot of an addlicense result
+ * @param {string} code - License code
+ * @param {object} asfResult - Result from parseASFResult(), mapping bot names to their status
+ * @param {{name: string, type: string}|null} [info] - App name and type, if known
+ * @param {string|null} [instance] - Name of the ASF instance, null for a single unnamed one
+ * @returns {object[]} History entries
+ */
+export function createHistoryEntries(code, asfResult, info = null, instance = null) {
+  const time = new Date().toISOString();
+  return Object.keys(asfResult).map(bot => ({
+    time,
+    instance,
+    code,
+    bot,
+    status: asfResult[bot].status,
+    name: info ? info.name : null,
+    type: info ? info.type : null
+  }));
+}
+
+/**
+ * Reads the history, skipping lines that can't be parsed (e.g. cut off by a crash)
+ * @param {string} file - Path of the history file
+ * @param {object} [filter] - Optional filter
+ * @param {string} [filter.instance] - Only entries of this ASF instance
+ * @param {string} [filter.bot] - Only entries of this bot
+ * @param {string} [filter.status] - Only entries whose status contains this text (case-insensitive)
+ * @param {string} [filter.since] - Only entries at or after this date
+ * @param {string} [filter.until] - Only entries before this date
+ * @returns {object[]} History entries, oldest first
+ */
+export function readHistory(file, { instance, bot, status, since, until } = {}) {
+  let content;
+  try {
+    content = readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  if (skipped > 0) {
+    logger.warn(`Skipped ${skipped} unreadable line(s) in the claim history.`);
+  }
+
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+  return entries.filter(entry =>
+    (!instance || entry.instance === instance) &&
+    (!bot || entry.bot === bot) &&
+    (!status || entry.status.toLowerCase().includes(status.toLowerCase())) &&
+    (sinceTime === null || new Date(entry.time).getTime() >= sinceTime) &&
+    (untilTime === null || new Date(entry.time).getTime() < untilTime)
+  );
+}
+
+/**
+ * Counts history entries per bot, per status and per month
+ * @param {object[]} entries - History entries
+ * @returns {object} Summary with `total`, `byStatus`, `byBot` and `byMonth` (each bot/month split by status),
+ *   bots of named ASF instances are listed as "instance/bot"
+ */
+export function summarizeHistory(entries) {
+  const summary = { total: entries.length, byStatus: {}, byBot: {}, byMonth: {} };
+  const count = (group, key, status) => {
+    group[key] = group[key] || { total: 0, byStatus: {} };
+    group[key].total++;
+    group[key].byStatus[status] = (group[key].byStatus[status] || 0) + 1;
+  };
+
+  for (const entry of entries) {
+    summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+    count(summary.byBot, entry.instance ? `${entry.instance}/${entry.bot}` : entry.bot, entry.status);
+    count(summary.byMonth, entry.time.slice(0, 7), entry.status);
+  }
+  return summary;
+}
+
+/**
+ * Converts history entries to CSV
+ * @param {object[]} entries - History entries
+ * @returns {string} CSV with a header line
+ */
+export function historyToCsv(entries) {
+  const escape = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => escape(entry[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,209 @@
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+import { normalizeCode } from "./codeList.js";
+
+// Bot key used for licenses that were processed before per-bot tracking existed
+export const ALL_BOTS = "*";
+
+// Statuses that mean the bot did not get a final answer and the license should be retried for it
+const TRANSIENT_STATUS = /RateLimit|Timeout|not connected|not ready|ServiceUnavailable|Busy|TryAgain|^Deferred:/i;
+
+/**
+ * Loads the per-bot claim ledger from disk, migrating the old flat array format if needed
+ * @param {string} file - Path of the ledger file
+ * @param {object} [options] - Load options
+ * @param {boolean} [options.readOnly=false] - Don't create, migrate or restore the file on disk, e.g. for dry runs
+ * @returns {object} Ledger mapping each license code to its per-bot results
+ * @throws {Error} If the ledger and all of its backups are corrupt
+ */
+export function loadLedger(file, { readOnly = false } = {}) {
+  const data = readJsonFile(file, { readOnly });
+  if (data === null) {
+    const ledger = { version: 2, licenses: {} };
+    if (!readOnly) {
+      saveLedger(file, ledger);
+    }
+    return ledger;
+  }
+
+  if (Array.isArray(data)) {
+    const ledger = { version: 2, licenses: {} };
+    markLicensesProcessed(ledger, data);
+    if (readOnly) {
+      return ledger;
+    }
+    saveLedger(file, ledger);
+    logger.info(`Migrated ${data.length} processed licenses to the per-bot ledger.`);
+    return ledger;
+  }
+
+  return { version: 2, licenses: normalizeLedgerCodes(data.licenses || {}) };
+}
+
+/**
+ * Rewrites ledger keys to their normalized form, merging entries for the same package
+ * @param {object} licenses - Ledger licenses keyed by code
+ * @returns {object} Licenses keyed by normalized code
+ */
+function normalizeLedgerCodes(licenses) {
+  const normalized = {};
+  for (const code in licenses) {
+    const key = normalizeCode(code) || code;
+    normalized[key] = { ...normalized[key], ...licenses[code] };
+  }
+  return normalized;
+}
+
+/**
+ * Saves the ledger to disk
+ * @param {string} file - Path of the ledger file
+ * @param {object} ledger - Ledger to save
+ */
+export function saveLedger(file, ledger) {
+  writeJsonFile(file, ledger);
+}
+
+/**
+ * Checks whether a bot status is final, i.e. the license does not need to be retried for that bot
+ * @param {string} status - Status parsed from the ASF result
+ * @returns {boolean} True if the status is final
+ */
+export function isFinalStatus(status) {
+  // Licenses skipped by a filter rule stay skipped, whatever the rule's text contains
+  return /^Skipped:/.test(status) || !TRANSIENT_STATUS.test(status);
+}
+
+/**
+ * Checks whether a bot status means the license wasn't added, either for now or for good
+ * An already owned package doesn't count as a failure
+ * @param {string} status - Status parsed from the ASF result
+ * @returns {boolean} True if the claim failed
+ */
+export function isFailedStatus(status) {
+  return !isFinalStatus(status) || (/^Fail/i.test(status) && !/AlreadyPurchased/i.test(status));
+}
+
+/**
+ * Checks whether a bot is one of the bots an instance claims for
+ * @param {string} bot - Bot name from the ledger
+ * @param {string} [bots] - Comma-separated bots of the instance, "asf" or omitted for all of ASF's bots
+ * @returns {boolean} True if the bot is still claimed for
+ */
+function isConfiguredBot(bot, bots) {
+  if (!bots || bots.toLowerCase() === "asf" || bot === ALL_BOTS) {
+    return true;
+  }
+  return bots.split(",").some(name => name.trim().toLowerCase() === bot.toLowerCase());
+}
+
+/**
+ * Returns the bots a license still has to be claimed for
+ * Bots that were removed from the instance's bot list aren't pending anymore, ASF couldn't claim for them anyway.
+ * @param {object} ledger - Claim ledger
+ * @param {string} code - License code
+ * @param {string} [bots] - Comma-separated bots of the instance, "asf" or omitted for all of ASF's bots
+ * @returns {string[]|null} null if the license was never attempted, otherwise the bots without a final status
+ */
+export function getPendingBots(ledger, code, bots) {
+  const entry = ledger.licenses[code];
+  if (!entry) {
+    return null;
+  }
+  return Object.keys(entry).filter(bot => !isFinalStatus(entry[bot].status) && isConfiguredBot(bot, bots));
+}
+
+/**
+ * Checks whether a license has a final status for every bot it was attempted on
+ * @param {object} ledger - Claim ledger
+ * @param {string} code - License code
+ * @param {string} [bots] - Comma-separated bots of the instance, "asf" or omitted for all of ASF's bots
+ * @returns {boolean} True if nothing is left to claim for this license
+ */
+export function isLicenseComplete(ledger, code, bots) {
+  const pendingBots = getPendingBots(ledger, code, bots);
+  return pendingBots !== null && pendingBots.length === 0;
+}
+
+/**
+ * Records the per-bot outcome of an addlicense command
+ * @param {object} ledger - Claim ledger
+ * @param {string} code - License code
+ * @param {object} asfResult - Result from parseASFResult(), mapping bot names to their status
+ */
+export function recordLicenseResult(ledger, code, asfResult) {
+  const entry = ledger.licenses[code] || {};
+  const updatedAt = new Date().toISOString();
+  const bots = Object.keys(asfResult);
+
+  if (bots.length === 0) {
+    // ASF answered with something we couldn't parse, treat it as done like before per-bot tracking
+    entry[ALL_BOTS] = { status: "Unknown", updatedAt };
+  }
+  for (const bot of bots) {
+    entry[bot] = { status: asfResult[bot].status, updatedAt };
+  }
+
+  ledger.licenses[code] = entry;
+}
+
+/**
+ * Marks licenses as processed for all bots, used for migrated data
+ * @param {object} ledger - Claim ledger
+ * @param {string[]} codes - License codes to mark
+ */
+export function markLicensesProcessed(ledger, codes) {
+  const updatedAt = new Date().toISOString();
+  for (const rawCode of codes) {
+    const code = normalizeCode(rawCode) || rawCode;
+    if (!ledger.licenses[code]) {
+      ledger.licenses[code] = { [ALL_BOTS]: { status: "Migrated", updatedAt } };
+    }
+  }
+}
+
+/**
+ * Marks a license as processed by hand, so it isn't claimed for any bot that doesn't have it yet
+ * @param {object} ledger - Claim ledger
+ * @param {string} code - Normalized license code
+ */
+export function markLicense(ledger, code) {
+  const updatedAt = new Date().toISOString();
+  const entry = ledger.licenses[code];
+  if (!entry) {
+    ledger.licenses[code] = { [ALL_BOTS]: { status: "Marked", updatedAt } };
+    return;
+  }
+  for (const bot of getPendingBots(ledger, code)) {
+    entry[bot] = { status: "Marked", updatedAt };
+  }
+}
+
+/**
+ * Removes a license from the ledger so it gets claimed again for all bots
+ * @param {object} ledger - Claim ledger
+ * @param {string} code - License code in any supported form
+ * @returns {boolean} True if the license was in the ledger
+ */
+export function removeLicense(ledger, code) {
+  const key = normalizeCode(code) || code;
+  if (!ledger.licenses[key]) {
+    return false;
+  }
+  delete ledger.licenses[key];
+  return true;
+}
+
+/**
+ * Lists all licenses in the ledger with their per-bot results
+ * @param {object} ledger - Claim ledger
+ * @param {string} [bots] - Comma-separated bots of the instance, "asf" or omitted for all of ASF's bots
+ * @returns {object[]} Entries with `code`, `complete`, `pendingBots` and `bots`
+ */
+export function listLicenses(ledger, bots) {
+  return Object.keys(ledger.licenses).map(code => ({
+    code,
+    complete: isLicenseComplete(ledger, code, bots),
+    pendingBots: getPendingBots(ledger, code, bots),
+    bots: ledger.licenses[code]
+  }));
+}
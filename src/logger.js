@@ -0,0 +1,172 @@
+import winston from 'winston';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+
+// Correlation ID of the run the current code belongs to, see withCorrelationId()
+const runContext = new AsyncLocalStorage();
+
+// Patterns of the values replaced with [REDACTED] in everything that is logged, longest first
+let secrets = [];
+
+// Shorter secrets are only redacted as whole words, so a short password doesn't mangle every line containing its letters
+const MIN_SUBSTRING_SECRET_LENGTH = 8;
+
+// Set by useQuietLogging() for the command line tools
+let quiet = false;
+
+/**
+ * Replaces the secrets in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Text without secrets
+ */
+function redact(text) {
+  for (const secret of secrets) {
+    text = text.replace(secret, '[REDACTED]');
+  }
+  return text;
+}
+
+/**
+ * Keeps the message and stack of errors in metadata, JSON.stringify() turns them into `{}`
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Plain object for errors, the value itself otherwise
+ */
+function serializeErrors(key, value) {
+  return value instanceof Error ? { ...value, name: value.name, message: value.message, stack: value.stack } : value;
+}
+
+// Redacts the message, the stack and any metadata, and adds the correlation ID of the current run
+const enrich = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    if (typeof info[key] === 'string') {
+      info[key] = redact(info[key]);
+    } else if (info[key] !== null && typeof info[key] === 'object' && secrets.length > 0) {
+      info[key] = JSON.parse(redact(JSON.stringify(info[key], serializeErrors)));
+    }
+  }
+  const run = runContext.getStore();
+  if (run) {
+    info.runId = run.correlationId;
+  }
+  return info;
+});
+
+// Human-readable lines for the console and the log file
+const textFormat = winston.format.printf(({ level, message, timestamp, runId }) => {
+  const date = new Date(timestamp).toLocaleDateString('en-US');
+  const time = new Date(timestamp).toLocaleTimeString('en-US', {
+    hour12: true,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  return `[${date}, ${time}] [${level.toUpperCase()}] ${runId ? `[run ${runId}] ` : ''}${message}`;
+});
+
+/**
+ * Builds the transports for the given settings
+ * @param {object} options - Logging settings, see configureLogging()
+ * @returns {object[]} Winston transports
+ */
+function createTransports({ format, file, maxSize, maxFiles }) {
+  const transports = [
+    new winston.transports.Console({
+      format: format === 'json' ? winston.format.json() : winston.format.combine(textFormat, winston.format.colorize({ level: true })),
+      stderrLevels: quiet ? ['error', 'warn'] : [],
+      handleExceptions: true,
+      handleRejections: true
+    })
+  ];
+  // The command line tools may run next to the service, only the service writes the log file
+  if (file && !quiet) {
+    transports.push(new winston.transports.File({
+      filename: file,
+      format: format === 'json' ? winston.format.json() : textFormat,
+      maxsize: maxSize,
+      maxFiles,
+      tailable: true,
+      handleExceptions: true,
+      handleRejections: true
+    }));
+  }
+  return transports;
+}
+
+// Set up winston logger with console output and clean formatting, until configureLogging() applies the settings
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    enrich()
+  ),
+  transports: createTransports({ format: 'text' })
+});
+
+/**
+ * Applies the logging settings, can be called again when they change
+ * @param {object} options - Logging settings
+ * @param {string} options.level - Lowest level that is logged: error, warn, info or debug
+ * @param {string} options.format - "text" for readable lines, "json" for one JSON object per line
+ * @param {string|null} [options.file] - Log file, null to disable; when it gets too large the older lines move to
+ *   numbered files like `asfclaim1.log`, `asfclaim2.log`, …
+ * @param {number} [options.maxSize] - Bytes after which the log file is rotated
+ * @param {number} [options.maxFiles] - Number of log files kept, including the current one
+ */
+export function configureLogging({ level, format, file = null, maxSize, maxFiles }) {
+  logger.level = quiet && level !== 'error' ? 'warn' : level;
+  logger.clear();
+  for (const transport of createTransports({ format, file, maxSize, maxFiles })) {
+    logger.add(transport);
+  }
+}
+
+/**
+ * Sets the secrets that are redacted from everything logged
+ * Secrets shorter than `MIN_SUBSTRING_SECRET_LENGTH` are only redacted where they stand alone, not inside other words.
+ * @param {string[]} values - Passwords, tokens and the like
+ */
+export function setRedactedSecrets(values) {
+  secrets = [...new Set(values.filter(value => value))]
+    .sort((a, b) => b.length - a.length)
+    .map(value => {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(value.length >= MIN_SUBSTRING_SECRET_LENGTH ? escaped : `(?<!\\w)${escaped}(?!\\w)`, 'g');
+    });
+}
+
+/**
+ * Runs a function with a new correlation ID, which is added to every line it logs, including from awaited calls
+ * @param {function(): Promise<*>} fn - Function to run
+ * @returns {Promise<*>} Result of the function
+ */
+export function withCorrelationId(fn) {
+  return runContext.run({ correlationId: randomBytes(4).toString('hex') }, fn);
+}
+
+/**
+ * Waits until the log file has been written, call it before exiting as process.exit() drops pending writes
+ * No more lines can be logged afterwards.
+ * @returns {Promise<void>} Resolves once the log file is flushed, or after a second at the latest
+ */
+export function flushLogs() {
+  const files = logger.transports.filter(transport => transport instanceof winston.transports.File);
+  if (files.length === 0) return Promise.resolve();
+  const flushed = Promise.all(files.map(transport => new Promise(resolve => transport.once('finish', resolve))));
+  logger.end();
+  return Promise.race([flushed, new Promise(resolve => setTimeout(resolve, 1000))]);
+}
+
+/**
+ * Only logs warnings and errors, and writes them to stderr, so the output of the command line tools can be piped
+ */
+export function useQuietLogging() {
+  quiet = true;
+  logger.level = 'warn';
+  for (const transport of logger.transports) {
+    transport.stderrLevels = { error: true, warn: true };
+  }
+}
+
+export default logger;
@@ -0,0 +1,111 @@
+// Buckets of the latency histograms, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Registered metrics by name, rendered in registration order
+const registry = new Map();
+
+/**
+ * Serializes label values to the key a series is stored under and to the Prometheus label syntax
+ * @param {object} labels - Label names and values
+ * @returns {string} Labels like `{bot="main",status="OK"}`, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Registers a metric
+ * @param {string} name - Metric name
+ * @param {string} type - "counter", "gauge" or "histogram"
+ * @param {string} help - Description shown by Prometheus
+ * @returns {object} Registered metric with its series by label key
+ */
+function register(name, type, help) {
+  const metric = { name, type, help, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - Metric name, should end in `_total`
+ * @param {string} help - Description shown by Prometheus
+ * @returns {{inc: function(object=, number=)}} Counter
+ */
+export function createCounter(name, help) {
+  const metric = register(name, "counter", help);
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Creates a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @returns {{set: function(object, number), reset: function()}} Gauge, reset() drops all series (e.g. of removed instances)
+ */
+export function createGauge(name, help) {
+  const metric = register(name, "gauge", help);
+  return {
+    set(labels, value) {
+      metric.series.set(formatLabels(labels), value);
+    },
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+/**
+ * Creates a histogram with the latency buckets
+ * @param {string} name - Metric name, should end in `_seconds`
+ * @param {string} help - Description shown by Prometheus
+ * @returns {{observe: function(object, number)}} Histogram
+ */
+export function createHistogram(name, help) {
+  const metric = register(name, "histogram", help);
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      const series = metric.series.get(key) || { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        if (value <= bound) series.buckets[index]++;
+      });
+      series.sum += value;
+      series.count++;
+      metric.series.set(key, series);
+    }
+  };
+}
+
+/**
+ * Renders all metrics in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const [key, value] of metric.series) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${key} ${value}`);
+        continue;
+      }
+      LATENCY_BUCKETS.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...value.labels, le: bound })} ${value.buckets[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...value.labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${metric.name}_sum${key} ${value.sum}`);
+      lines.push(`${metric.name}_count${key} ${value.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,490 @@
+import { readFileSync } from "fs";
+
+// Version sent with the JSON notifications, read like in index.js instead of a JSON import
+const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+// Shared look of the notifications
+const notifyStyle = {
+  username: "ASFClaim",
+  avatarUrl: "https://raw.githubusercontent.com/JustArchiNET/ArchiSteamFarm/main/resources/ASF_512x512.png",
+  placeholderImageUrl: "https://placehold.co/460x215.jpg?text=Cant+load+image",
+  color: {
+    error: 0xff0000, // Red
+    warn: 0xff9933, // Deep Saffron (Orange)
+    info: 0x0000ff, // Blue
+    success: 0x00ff00 // Green
+  },
+  // Priorities for ntfy (1-5) and Gotify (0-10)
+  priority: {
+    error: { ntfy: 5, gotify: 8 },
+    warn: { ntfy: 4, gotify: 5 },
+    success: { ntfy: 3, gotify: 4 },
+    info: { ntfy: 2, gotify: 2 }
+  }
+};
+
+// Options every target type needs besides its enabled types
+const requiredOptions = {
+  discord: ["url"],
+  slack: ["url"],
+  telegram: ["token", "chatId"],
+  ntfy: ["url"],
+  gotify: ["url", "token"],
+  json: ["url"]
+};
+
+/**
+ * Reads the notification targets from numbered environment variables
+ * (`NOTIFY_1_TYPE`, `NOTIFY_1_URL`, `NOTIFY_1_TOKEN`, `NOTIFY_1_CHATID`, `NOTIFY_1_ENABLEDTYPES`, `NOTIFY_2_TYPE`, ...)
+ * @param {object} env - Environment variables, usually process.env
+ * @returns {object[]} Notification targets
+ * @throws {Error} If a target has an unknown type or misses a required option
+ */
+export function loadNotifyTargets(env) {
+  const targets = [];
+  const indexes = Object.keys(env)
+    .map(key => key.match(/^NOTIFY_(\d+)_TYPE$/))
+    .filter(match => match)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+
+  for (const index of indexes) {
+    const prefix = `NOTIFY_${index}_`;
+    const target = {
+      name: `NOTIFY_${index}`,
+      type: env[prefix + "TYPE"].trim().toLowerCase(),
+      url: env[prefix + "URL"] || "",
+      token: env[prefix + "TOKEN"] || "",
+      chatId: env[prefix + "CHATID"] || "",
+      enabledTypes: (env[prefix + "ENABLEDTYPES"] || "error;warn;success").split(";").map(type => type.trim()).filter(type => type)
+    };
+    validateNotifyTarget(target);
+    targets.push(target);
+  }
+
+  return targets;
+}
+
+/**
+ * Checks that a target has a known type and all options that type needs
+ * @param {object} target - Notification target
+ * @throws {Error} If the target is invalid
+ */
+export function validateNotifyTarget(target) {
+  if (!formatters[target.type]) {
+    throw new Error(`${target.name}: unknown type '${target.type}', expected one of ${Object.keys(formatters).join(", ")}`);
+  }
+  for (const option of requiredOptions[target.type]) {
+    if (!target[option]) {
+      throw new Error(`${target.name}: ${target.type} targets need ${target.name}_${option.toUpperCase()}`);
+    }
+  }
+}
+
+/**
+ * Splits a license code like `a/123`, `s/123` or `123` into its type and ID
+ * @param {string} licenseId - License code
+ * @returns {{type: string, id: string}} License with type "app" or "sub"
+ */
+export function parseLicenseId(licenseId) {
+  licenseId = licenseId.replace("a/", "app/");
+  licenseId = licenseId.replace("s/", "sub/");
+  licenseId = licenseId.replace(/^(\d+)$/, "sub/$1"); // If only the ID is delivered
+  return { type: licenseId.split("/")[0], id: licenseId.split("/")[1] };
+}
+
+/**
+ * Combines Store metadata with the license it came from, filling in placeholders for missing data
+ * @param {object} [appMetadata] - App data from the Steam Store API
+ * @param {{type: string, id: string}} license - License the app belongs to
+ * @returns {object} App with `name`, `type`, `imageUrl`, `appId` and `subId`
+ */
+export function describeApp(appMetadata, license) {
+  const metaData = {
+    imageUrl: notifyStyle.placeholderImageUrl,
+    name: "Cant load name",
+    type: "Cant load type",
+    appId: (license.type == "app") ? license.id : null,
+    subId: (license.type == "sub") ? license.id : null,
+  };
+
+  if (appMetadata) {
+    metaData.imageUrl = (appMetadata.header_image) ? appMetadata.header_image : metaData.imageUrl;
+    metaData.name = (appMetadata.name) ? appMetadata.name : metaData.name;
+    metaData.type = (appMetadata.type) ? appMetadata.type : metaData.type;
+    metaData.appId = (appMetadata.steam_appid) ? appMetadata.steam_appid : metaData.appId;
+  }
+
+  return metaData;
+}
+
+/**
+ * Groups a parsed ASF result by status
+ * @param {object} asfResult - Result from parseASFResult(), mapping bot names to their status
+ * @returns {object[]} Fields with `name` (status) and `value` (newline-separated bots)
+ */
+export function groupResultsByStatus(asfResult) {
+  const asfResultAsStatus = {};
+  for (const user in asfResult) {
+    if (!asfResultAsStatus[asfResult[user].status]) {
+      asfResultAsStatus[asfResult[user].status] = [user];
+    } else {
+      asfResultAsStatus[asfResult[user].status].push(user);
+    }
+  }
+
+  const fields = [];
+  for (const status in asfResultAsStatus) {
+    fields.push({ name: status + ":", value: asfResultAsStatus[status].join("\n") });
+  }
+  if (fields.length == 1) {
+    fields[0].value = "Status for all accounts";
+  }
+  return fields;
+}
+
+/**
+ * Returns the Markdown description lines of an app, as shown in Discord embeds
+ * @param {object} app - App from describeApp()
+ * @returns {string[]} Name, type and ID lines
+ */
+function describeAppLines(app) {
+  let id = "AppID: ";
+  if (app.appId) {
+    id += "[" + app.appId + "](https://store.steampowered.com/app/" + app.appId + ")";
+  } else {
+    id += "Cant load AppID";
+  }
+  if (app.subId) {
+    id += " (from SubId: [" + app.subId + "](https://store.steampowered.com/sub/" + app.subId + "))";
+  }
+  return ["Name: " + app.name, "Type: " + app.type, id];
+}
+
+/**
+ * Returns the store page of an app, or of its package if the app is unknown
+ * @param {object} app - App from describeApp()
+ * @returns {string|null} Store URL
+ */
+function storeUrl(app) {
+  if (app.appId) return "https://store.steampowered.com/app/" + app.appId;
+  if (app.subId) return "https://store.steampowered.com/sub/" + app.subId;
+  return null;
+}
+
+/**
+ * Converts the Markdown links of describeAppLines() to plain text
+ * @param {string} text - Text with Markdown links
+ * @returns {string} Text with links replaced by their label
+ */
+function stripLinks(text) {
+  return text.replace(/\[([^\]]+)\]\([^)]+\)/g, "$1");
+}
+
+/**
+ * Escapes text for Telegram's HTML parse mode
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Creates a JSON POST request
+ * @param {string} url - Target URL
+ * @param {object} body - Body to serialize
+ * @param {object} [headers] - Additional headers
+ * @returns {{url: string, options: object}} Request for sendWebhook()
+ */
+function jsonRequest(url, body, headers = {}) {
+  return {
+    url,
+    options: {
+      method: "post",
+      body: JSON.stringify(body),
+      headers: { "Content-Type": "application/json", ...headers }
+    }
+  };
+}
+
+/**
+ * Builds a plain-text body shared by the text based targets
+ * @param {object} notification - Notification to format
+ * @returns {string} Apps and results as plain text
+ */
+function plainTextBody(notification) {
+  const parts = notification.apps.map(app => describeAppLines(app).map(stripLinks).join("\n"));
+  if (notification.results) {
+    parts.push(notification.results.map(field => field.name + " " + field.value.replace(/\n/g, ", ")).join("\n"));
+  }
+  return parts.join("\n\n");
+}
+
+// Formatters turning a notification into the requests for one target type
+const formatters = {
+  discord(notification, target) {
+    const message = (embed) => jsonRequest(target.url, {
+      embeds: [embed],
+      username: notifyStyle.username,
+      avatar_url: notifyStyle.avatarUrl
+    });
+
+    if (!notification.license) {
+      return [message({ title: notification.message, color: notifyStyle.color[notification.type] })];
+    }
+    // One embed per app, so every app of a package gets its own image
+    return notification.apps.map(app => message({
+      title: notification.message,
+      color: notifyStyle.color[notification.type],
+      image: { url: app.imageUrl },
+      description: describeAppLines(app).join("\n"),
+      fields: notification.results || []
+    }));
+  },
+
+  slack(notification, target) {
+    const color = "#" + notifyStyle.color[notification.type].toString(16).padStart(6, "0");
+    if (!notification.license) {
+      return [jsonRequest(target.url, { text: notification.message, attachments: [{ color, text: notification.message }] })];
+    }
+    return [jsonRequest(target.url, {
+      text: notification.message,
+      attachments: notification.apps.map(app => ({
+        color,
+        title: app.name,
+        title_link: storeUrl(app),
+        text: describeAppLines(app).slice(1).map(line => line.replace(/\[([^\]]+)\]\(([^)]+)\)/g, "<$2|$1>")).join("\n"),
+        image_url: app.imageUrl,
+        fields: (notification.results || []).map(field => ({ title: field.name, value: field.value, short: true }))
+      }))
+    })];
+  },
+
+  telegram(notification, target) {
+    let text = "<b>" + escapeHtml(notification.message) + "</b>";
+    for (const app of notification.apps) {
+      const url = storeUrl(app);
+      text += "\n\n" + (url ? `<a href="${url}">${escapeHtml(app.name)}</a>` : escapeHtml(app.name)) + " (" + escapeHtml(app.type) + ")";
+    }
+    if (notification.results) {
+      text += "\n\n" + notification.results.map(field => escapeHtml(field.name + " " + field.value.replace(/\n/g, ", "))).join("\n");
+    }
+    const url = target.url || `https://api.telegram.org/bot${target.token}/sendMessage`;
+    return [jsonRequest(url, { chat_id: target.chatId, text, parse_mode: "HTML", disable_web_page_preview: notification.apps.length !== 1 })];
+  },
+
+  ntfy(notification, target) {
+    // Publish as JSON to the server root, the topic is the path of the configured URL
+    const topicUrl = new URL(target.url);
+    const firstApp = notification.apps[0];
+    return [jsonRequest(topicUrl.origin, {
+      topic: topicUrl.pathname.replace(/^\/+|\/+$/g, ""),
+      title: notification.message,
+      message: plainTextBody(notification) || notification.message,
+      priority: notifyStyle.priority[notification.type].ntfy,
+      tags: [notification.type],
+      ...(firstApp && storeUrl(firstApp) && { click: storeUrl(firstApp) })
+    }, target.token ? { Authorization: "Bearer " + target.token } : {})];
+  },
+
+  gotify(notification, target) {
+    return [jsonRequest(target.url.replace(/\/+$/, "") + "/message", {
+      title: notification.message,
+      message: notification.apps.length > 0 || notification.results ? plainTextBody(notification) : notification.message,
+      priority: notifyStyle.priority[notification.type].gotify
+    }, { "X-Gotify-Key": target.token })];
+  },
+
+  json(notification, target) {
+    return [jsonRequest(target.url, {
+      source: "ASFClaim",
+      version: pkg.version,
+      timestamp: new Date().toISOString(),
+      type: notification.type,
+      message: notification.message,
+      instance: notification.instance || null,
+      license: notification.license,
+      apps: notification.apps.map(app => ({ ...app, storeUrl: storeUrl(app) })),
+      results: notification.results
+    }, target.token ? { Authorization: "Bearer " + target.token } : {})];
+  }
+};
+
+// Discord limits, see https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_MESSAGE_CHARS = 6000;
+const DISCORD_MAX_DESCRIPTION = 4096;
+
+// Message length limits of the text based targets
+const TEXT_LIMITS = {
+  slack: 3000,
+  telegram: 4096,
+  ntfy: 4000,
+  gotify: 10000
+};
+
+/**
+ * Groups lines into chunks that stay below a maximum length, cutting single lines that are too long
+ * @param {string[]} lines - Lines to group
+ * @param {number} maxLength - Maximum length of a chunk including newlines
+ * @returns {string[]} Chunks of newline-joined lines
+ */
+function chunkLines(lines, maxLength) {
+  const chunks = [];
+  let current = "";
+  for (let line of lines) {
+    if (line.length > maxLength) {
+      line = line.slice(0, maxLength - 1) + "…";
+    }
+    if (current && current.length + 1 + line.length > maxLength) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? current + "\n" + line : line;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Builds the sections of a digest as Markdown lines
+ * @param {object} digest - Digest with `statusCounts`, `claimed` and `failures`
+ * @returns {{summary: string[], claimed: string[], failures: string[]}} Lines per section
+ */
+function digestSections(digest) {
+  return {
+    summary: Object.keys(digest.statusCounts).map(status => `${status}: ${digest.statusCounts[status]}`),
+    claimed: digest.claimed.map(app => {
+      const url = storeUrl(app);
+      return "• " + (url ? `[${app.name}](${url})` : app.name) + ` (${app.type})`;
+    }),
+    failures: digest.failures.map(failure => `• ${failure.code}: ${failure.status}`)
+  };
+}
+
+/**
+ * Renders a digest as plain text chunks for the text based targets
+ * @param {object} notification - Digest notification
+ * @param {number} maxLength - Maximum length of a chunk
+ * @param {function(string): string} renderLine - Converts a line with Markdown links to the target's format
+ * @returns {string[]} Message chunks
+ */
+function digestTextChunks(notification, maxLength, renderLine) {
+  const sections = digestSections(notification.digest);
+  const lines = [...sections.summary];
+  if (sections.claimed.length > 0) {
+    lines.push("", `Claimed (${sections.claimed.length}):`, ...sections.claimed);
+  }
+  if (sections.failures.length > 0) {
+    lines.push("", `Failed (${sections.failures.length}):`, ...sections.failures);
+  }
+  return chunkLines(lines.map(renderLine), maxLength);
+}
+
+// Formatters turning a digest into the requests for one target type, split to the target's size limits
+const digestFormatters = {
+  discord(notification, target) {
+    const sections = digestSections(notification.digest);
+    const color = notifyStyle.color[notification.type];
+    const embeds = [{ title: notification.message, color, description: sections.summary.join("\n") || "Nothing processed" }];
+    chunkLines(sections.claimed, DISCORD_MAX_DESCRIPTION).forEach((description, index) => {
+      embeds.push({ title: index === 0 ? `Claimed (${sections.claimed.length})` : "Claimed (continued)", color, description });
+    });
+    chunkLines(sections.failures, DISCORD_MAX_DESCRIPTION).forEach((description, index) => {
+      embeds.push({ title: index === 0 ? `Failed (${sections.failures.length})` : "Failed (continued)", color: notifyStyle.color.error, description });
+    });
+
+    // Pack the embeds into as few messages as the embed and character limits allow
+    const messages = [];
+    let current = [];
+    let currentChars = 0;
+    for (const embed of embeds) {
+      const chars = embed.title.length + embed.description.length;
+      if (current.length === DISCORD_MAX_EMBEDS || (current.length > 0 && currentChars + chars > DISCORD_MAX_MESSAGE_CHARS)) {
+        messages.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(embed);
+      currentChars += chars;
+    }
+    messages.push(current);
+
+    return messages.map(messageEmbeds => jsonRequest(target.url, {
+      embeds: messageEmbeds,
+      username: notifyStyle.username,
+      avatar_url: notifyStyle.avatarUrl
+    }));
+  },
+
+  slack(notification, target) {
+    const color = "#" + notifyStyle.color[notification.type].toString(16).padStart(6, "0");
+    return digestTextChunks(notification, TEXT_LIMITS.slack, line => line.replace(/\[([^\]]+)\]\(([^)]+)\)/g, "<$2|$1>"))
+      .map(text => jsonRequest(target.url, { text: notification.message, attachments: [{ color, text }] }));
+  },
+
+  telegram(notification, target) {
+    const url = target.url || `https://api.telegram.org/bot${target.token}/sendMessage`;
+    const header = "<b>" + escapeHtml(notification.message) + "</b>\n\n";
+    const renderLine = line => {
+      const link = line.match(/^• \[([^\]]+)\]\(([^)]+)\)(.*)$/);
+      return link ? `• <a href="${link[2]}">${escapeHtml(link[1])}</a>${escapeHtml(link[3])}` : escapeHtml(line);
+    };
+    return digestTextChunks(notification, TEXT_LIMITS.telegram - header.length, renderLine).map(chunk => jsonRequest(url, {
+      chat_id: target.chatId,
+      text: header + chunk,
+      parse_mode: "HTML",
+      disable_web_page_preview: true
+    }));
+  },
+
+  ntfy(notification, target) {
+    const topicUrl = new URL(target.url);
+    return digestTextChunks(notification, TEXT_LIMITS.ntfy, stripLinks).map(message => jsonRequest(topicUrl.origin, {
+      topic: topicUrl.pathname.replace(/^\/+|\/+$/g, ""),
+      title: notification.message,
+      message,
+      priority: notifyStyle.priority[notification.type].ntfy,
+      tags: [notification.type]
+    }, target.token ? { Authorization: "Bearer " + target.token } : {}));
+  },
+
+  gotify(notification, target) {
+    return digestTextChunks(notification, TEXT_LIMITS.gotify, stripLinks).map(message => jsonRequest(target.url.replace(/\/+$/, "") + "/message", {
+      title: notification.message,
+      message,
+      priority: notifyStyle.priority[notification.type].gotify
+    }, { "X-Gotify-Key": target.token }));
+  },
+
+  json(notification, target) {
+    return [jsonRequest(target.url, {
+      source: "ASFClaim",
+      version: pkg.version,
+      timestamp: new Date().toISOString(),
+      type: notification.type,
+      message: notification.message,
+      digest: {
+        ...notification.digest,
+        claimed: notification.digest.claimed.map(app => ({ ...app, storeUrl: storeUrl(app) }))
+      }
+    }, target.token ? { Authorization: "Bearer " + target.token } : {})];
+  }
+};
+
+/**
+ * Builds the requests that deliver a notification to a target
+ * @param {object} target - Notification target
+ * @param {object} notification - Notification with `type`, `message`, `instance`, `license`, `apps` and `results`,
+ *   or a digest notification with `type`, `message` and `digest`
+ * @returns {{url: string, options: object}[]} Requests for sendWebhook()
+ */
+export function formatNotification(target, notification) {
+  if (notification.digest) {
+    return digestFormatters[target.type](notification, target);
+  }
+  return formatters[target.type](notification, target);
+}
@@ -0,0 +1,86 @@
+import logger from "./logger.js";
+
+// Network error codes that usually go away on their own, e.g. while ASF restarts
+const TRANSIENT_CODES = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND", "EHOSTUNREACH", "ENETUNREACH", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+/**
+ * Error that can't be fixed by retrying, e.g. a wrong password or invalid configuration
+ */
+export class FatalError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "FatalError";
+  }
+}
+
+/**
+ * Creates an error for a non-2xx HTTP response, keeping the status code for classification
+ * @param {Response} res - Fetch response
+ * @param {string} [message] - Optional description of the request
+ * @returns {Error} Error with `status` set
+ */
+export function httpError(res, message) {
+  const error = new Error(`${message ? message + ": " : ""}${res.status} ${res.statusText}`);
+  error.status = res.status;
+  return error;
+}
+
+/**
+ * Decides whether an error is fatal (exit) or transient (retry later)
+ * Fatal: FatalError, 401 and other 4xx client errors caused by bad configuration
+ * Transient: connection errors, invalid responses, timeouts, 403 (GitHub rate limit), 408, 429 and 5xx
+ * @param {Error} err - Error to classify
+ * @returns {boolean} True if retrying can't help
+ */
+export function isFatalError(err) {
+  if (err instanceof FatalError) {
+    return true;
+  }
+  const status = err && err.status;
+  if (typeof status === "number") {
+    if (status === 403 || status === 408 || status === 429 || status >= 500) {
+      return false;
+    }
+    return status >= 400;
+  }
+  return false;
+}
+
+/**
+ * Returns a short description of an error, including the underlying network error code if there is one
+ * @param {Error} err - Error to describe
+ * @returns {string} Description for log messages
+ */
+export function describeError(err) {
+  const code = err && err.cause && err.cause.code;
+  if (code && TRANSIENT_CODES.includes(code)) {
+    return `${err.message} (${code})`;
+  }
+  return err && err.message ? err.message : String(err);
+}
+
+/**
+ * Runs a function and retries it with exponential backoff while it fails with transient errors
+ * Fatal errors and the last transient error are rethrown
+ * @param {function(): Promise<*>} fn - Function to run
+ * @param {object} [options] - Retry options
+ * @param {string} [options.description] - What is being done, for log messages
+ * @param {number} [options.attempts=3] - Maximum number of attempts
+ * @param {number} [options.delay=5] - Seconds to wait before the first retry
+ * @param {number} [options.maxDelay=60] - Upper limit in seconds for the delay between retries
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, { description = "request", attempts = 3, delay = 5, maxDelay = 60 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (isFatalError(err) || attempt >= attempts) {
+        throw err;
+      }
+      const wait = Math.min(delay * Math.pow(2, attempt - 1), maxDelay);
+      logger.warn(`${description} failed (${describeError(err)}), retry ${attempt}/${attempts - 1} in ${wait} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, wait * 1000));
+    }
+  }
+}
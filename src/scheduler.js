@@ -0,0 +1,279 @@
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+
+// Allowed values of the five cron fields: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+// Longest delay setTimeout() supports, longer waits are split
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Parses one cron field into the set of values it matches
+ * Supports `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`)
+ * @param {string} value - Field value
+ * @param {object} field - Field definition from CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(value, field) {
+  const values = new Set();
+  for (const part of value.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} '${part}' in cron expression`);
+    }
+    let start = match[1] === "*" ? field.min : Number(match[2]);
+    let end = match[1] === "*" ? field.max : (match[3] !== undefined ? Number(match[3]) : start);
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (match[4] !== undefined && match[1] !== "*" && match[3] === undefined) {
+      end = field.max; // "5/10" means every 10 starting at 5
+    }
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name} '${part}' in cron expression, allowed range is ${field.min}-${field.max}`);
+    }
+    for (let i = start; i <= end; i += step) {
+      values.add(field.name === "day of week" && i === 7 ? 0 : i); // 7 is Sunday too
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses the claim schedule
+ * @param {string} value - Cron expression ("0 *\/6 * * *"), times of day ("06:00,18:30") or empty for the interval
+ * @param {number} intervalHours - ASF_CLAIM_INTERVAL, used when no schedule is set
+ * @returns {object} Schedule with `type` ("cron", "times" or "interval") and `description`
+ * @throws {Error} If the schedule can't be parsed
+ */
+export function parseSchedule(value, intervalHours) {
+  value = (value || "").trim();
+
+  if (!value) {
+    return { type: "interval", intervalMs: intervalHours * 60 * 60 * 1000, description: `every ${intervalHours} hours` };
+  }
+
+  if (/^\d{1,2}:\d{2}(\s*,\s*\d{1,2}:\d{2})*$/.test(value)) {
+    const minutes = value.split(",").map(time => {
+      const [hours, mins] = time.trim().split(":").map(Number);
+      if (hours > 23 || mins > 59) {
+        throw new Error(`Invalid time of day '${time.trim()}'`);
+      }
+      return hours * 60 + mins;
+    });
+    return { type: "times", minutes: [...new Set(minutes)].sort((a, b) => a - b), description: `daily at ${value}` };
+  }
+
+  const parts = value.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`'${value}' is neither a 5-field cron expression nor a list of times like 06:00,18:00`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  return {
+    type: "cron",
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    // Like cron, a restricted day of month and day of week match if either does
+    dayOfMonthRestricted: parts[2] !== "*",
+    dayOfWeekRestricted: parts[4] !== "*",
+    description: `cron '${value}'`
+  };
+}
+
+/**
+ * Parses quiet hours
+ * @param {string} value - Time range like "23:00-07:00", or empty to disable
+ * @returns {{start: number, end: number}|null} Start and end in minutes after midnight
+ * @throws {Error} If the range can't be parsed
+ */
+export function parseQuietHours(value) {
+  value = (value || "").trim();
+  if (!value) {
+    return null;
+  }
+  const match = value.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3]) > 23 || Number(match[4]) > 59) {
+    throw new Error(`'${value}' is not a time range like 23:00-07:00`);
+  }
+  return { start: Number(match[1]) * 60 + Number(match[2]), end: Number(match[3]) * 60 + Number(match[4]) };
+}
+
+/**
+ * Returns the end of the quiet hours if the given time falls into them
+ * @param {object|null} quietHours - Quiet hours from parseQuietHours()
+ * @param {Date} [date] - Time to check, defaults to now
+ * @returns {Date|null} End of the current quiet hours, or null outside quiet hours
+ */
+export function getQuietHoursEnd(quietHours, date = new Date()) {
+  if (!quietHours || quietHours.start === quietHours.end) {
+    return null;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const overnight = quietHours.start > quietHours.end;
+  const inQuietHours = overnight
+    ? (minutes >= quietHours.start || minutes < quietHours.end)
+    : (minutes >= quietHours.start && minutes < quietHours.end);
+  if (!inQuietHours) {
+    return null;
+  }
+
+  const end = new Date(date);
+  end.setHours(Math.floor(quietHours.end / 60), quietHours.end % 60, 0, 0);
+  if (end <= date) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end;
+}
+
+/**
+ * Checks whether a time falls into the quiet hours
+ * @param {object|null} quietHours - Quiet hours from parseQuietHours()
+ * @param {Date} [date] - Time to check, defaults to now
+ * @returns {boolean} True during quiet hours
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+  return getQuietHoursEnd(quietHours, date) !== null;
+}
+
+/**
+ * Finds the next minute matching a cron schedule
+ * @param {object} schedule - Cron schedule from parseSchedule()
+ * @param {Date} from - Time after which to search
+ * @returns {Date} Next matching time
+ */
+function nextCronTime(schedule, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skip whole days and hours that can't match, a schedule matches at least once every few years
+  const limit = new Date(from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000);
+  while (date < limit) {
+    const dayOfMonthMatches = schedule.dayOfMonth.has(date.getDate());
+    const dayOfWeekMatches = schedule.dayOfWeek.has(date.getDay());
+    const dayMatches = (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted)
+      ? (dayOfMonthMatches || dayOfWeekMatches)
+      : (dayOfMonthMatches && dayOfWeekMatches);
+
+    if (!schedule.month.has(date.getMonth() + 1) || !dayMatches) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron schedule ${schedule.description} never matches`);
+}
+
+/**
+ * Finds the next time of day of a "times" schedule
+ * @param {object} schedule - Times schedule from parseSchedule()
+ * @param {Date} from - Time after which to search
+ * @returns {Date} Next matching time
+ */
+function nextTimeOfDay(schedule, from) {
+  const minutes = from.getHours() * 60 + from.getMinutes();
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  const today = schedule.minutes.find(minute => minute > minutes);
+  if (today !== undefined) {
+    next.setHours(Math.floor(today / 60), today % 60);
+  } else {
+    next.setDate(next.getDate() + 1);
+    next.setHours(Math.floor(schedule.minutes[0] / 60), schedule.minutes[0] % 60);
+  }
+  return next;
+}
+
+/**
+ * Calculates when the next scheduled run should start
+ * @param {object} schedule - Schedule from parseSchedule()
+ * @param {object} options - Calculation options
+ * @param {Date} [options.from] - Time to calculate from, defaults to now
+ * @param {string|null} [options.lastRunAt] - Start of the last scheduled run, anchors the interval across restarts
+ * @param {number} [options.jitterMinutes=0] - Maximum random delay added to the run
+ * @param {object|null} [options.quietHours] - Quiet hours from parseQuietHours(), runs inside them are postponed to their end
+ * @returns {Date} Start of the next run
+ */
+export function getNextRunTime(schedule, { from = new Date(), lastRunAt = null, jitterMinutes = 0, quietHours = null } = {}) {
+  let next;
+  if (schedule.type === "interval") {
+    next = lastRunAt ? new Date(new Date(lastRunAt).getTime() + schedule.intervalMs) : new Date(from);
+    if (next < from) {
+      next = new Date(from); // Missed while the container was down, run right away
+    }
+  } else if (schedule.type === "times") {
+    next = nextTimeOfDay(schedule, from);
+  } else {
+    next = nextCronTime(schedule, from);
+  }
+
+  next = applyJitter(next, jitterMinutes);
+
+  const quietEnd = getQuietHoursEnd(quietHours, next);
+  return quietEnd || next;
+}
+
+/**
+ * Delays a run by a random amount, so instances sharing a schedule don't all start at the same moment
+ * @param {Date} date - Scheduled time
+ * @param {number} jitterMinutes - Maximum delay in minutes, 0 for none
+ * @returns {Date} Delayed time
+ */
+export function applyJitter(date, jitterMinutes) {
+  if (!(jitterMinutes > 0)) return date;
+  return new Date(date.getTime() + Math.floor(Math.random() * jitterMinutes * 60 * 1000));
+}
+
+/**
+ * Loads the persisted schedule state
+ * @param {string} file - Path of the schedule file
+ * @param {object} [options] - Load options
+ * @param {boolean} [options.readOnly=false] - Don't restore a corrupt file on disk, e.g. for dry runs
+ * @returns {{lastRunAt: string|null, nextRunAt: string|null, schedule: string|null}} Schedule state
+ */
+export function loadScheduleState(file, { readOnly = false } = {}) {
+  try {
+    const data = readJsonFile(file, { readOnly }) || {};
+    return { lastRunAt: data.lastRunAt || null, nextRunAt: data.nextRunAt || null, schedule: data.schedule || null };
+  } catch (err) {
+    logger.warn("Could not read schedule state, starting fresh: " + err.message);
+    return { lastRunAt: null, nextRunAt: null, schedule: null };
+  }
+}
+
+/**
+ * Saves the schedule state
+ * @param {string} file - Path of the schedule file
+ * @param {object} state - Schedule state
+ */
+export function saveScheduleState(file, state) {
+  writeJsonFile(file, state);
+}
+
+/**
+ * Runs a function at a given time, splitting waits longer than setTimeout() supports
+ * @param {Date} date - When to run
+ * @param {function(): void} fn - Function to run
+ * @returns {{timer: object}} Handle whose `timer` can be passed to clearTimeout()
+ */
+export function runAt(date, fn) {
+  const handle = { timer: null };
+  const arm = () => {
+    const delay = date.getTime() - Date.now();
+    if (delay > MAX_TIMEOUT) {
+      handle.timer = setTimeout(arm, MAX_TIMEOUT);
+    } else {
+      handle.timer = setTimeout(fn, Math.max(delay, 0));
+    }
+  };
+  arm();
+  return handle;
+}
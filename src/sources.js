@@ -0,0 +1,161 @@
+import { readFileSync } from "fs";
+import logger from "./logger.js";
+import { httpError, withRetry } from "./resilience.js";
+import { parseCodeList, reportInvalidLines } from "./codeList.js";
+
+// Gist file that is read when a gist source doesn't name one
+const DEFAULT_GIST_FILE = "Steam Codes";
+
+// Supported source types, all of them are parsed as code lists
+const sourceTypes = {
+  gist: {
+    async load(source, { octokit }) {
+      const gist = await octokit.gists.get({ gist_id: source.id });
+      const file = gist.data.files[source.file];
+      if (!file) {
+        throw new Error(`File '${source.file}' not found in Gist '${source.id}'`);
+      }
+      return file.content;
+    }
+  },
+  url: {
+    async load(source) {
+      const res = await fetch(source.url, { method: "get" });
+      if (!res.ok) {
+        throw httpError(res);
+      }
+      return await res.text();
+    }
+  },
+  file: {
+    async load(source) {
+      return readFileSync(source.path, "utf8");
+    }
+  }
+};
+
+/**
+ * Parses the semicolon-separated source list from the config
+ * Entries look like `gist:<id>`, `gist:<id>/<file name>`, `url:<http(s) url>` or `file:<path>`
+ * @param {string} value - Source list, e.g. "gist:e8c5cf365d816f2640242bf01d8d3675;file:./storage/codes.txt"
+ * @returns {object[]} Source definitions
+ */
+export function parseSourceList(value) {
+  return value.split(";").map(entry => entry.trim()).filter(entry => entry).map(entry => {
+    const separator = entry.indexOf(":");
+    const type = entry.slice(0, separator).toLowerCase();
+    const target = entry.slice(separator + 1).trim();
+
+    if (separator < 0 || !sourceTypes[type] || !target) {
+      throw new Error(`Invalid package source '${entry}'. Expected gist:<id>, url:<url> or file:<path>.`);
+    }
+
+    switch (type) {
+      case "gist": {
+        const slash = target.indexOf("/");
+        return slash < 0
+          ? { type, name: entry, id: target, file: DEFAULT_GIST_FILE }
+          : { type, name: entry, id: target.slice(0, slash), file: target.slice(slash + 1) };
+      }
+      case "url":
+        return { type, name: entry, url: target };
+      case "file":
+      default:
+        return { type, name: entry, path: target };
+    }
+  });
+}
+
+/**
+ * Fetches and parses the codes of a single source
+ * @param {object} source - Source definition from parseSourceList()
+ * @param {object} context - Shared clients, currently `{ octokit }`
+ * @returns {Promise<object[]>} Entries from parseCodeList() in source order
+ */
+export async function fetchSourceCodes(source, context) {
+  const content = await sourceTypes[source.type].load(source, context);
+  return parseSourceCodes(source, content);
+}
+
+/**
+ * Parses the content of a source as a code list, invalid lines are skipped and logged the first time they are seen
+ * @param {object} source - Source definition from parseSourceList()
+ * @param {string} content - Raw content, e.g. the text of a gist file
+ * @returns {object[]} Entries from parseCodeList() in source order
+ */
+export function parseSourceCodes(source, content) {
+  const { entries, invalid } = parseCodeList(content);
+  reportInvalidLines(source.name, invalid);
+  return entries;
+}
+
+/**
+ * Logs a readable explanation for a failed source
+ * @param {object} source - Source that failed
+ * @param {Error} err - Error thrown while loading it
+ */
+function logSourceError(source, err) {
+  if (source.type === "gist" && err.status === 401) {
+    logger.error(`❌ GitHub Authentication Error (${source.name}):`);
+    logger.error("The GitHub Gist requires authentication. Please set a valid GITHUB_TOKEN in your .env file.");
+    logger.error("Get a token from: https://github.com/settings/tokens (with 'gist' scope)");
+    logger.error("Then add: GITHUB_TOKEN=\"your_token_here\" to your .env file");
+  } else if (source.type === "gist" && err.status === 404) {
+    logger.error(`❌ GitHub Gist Not Found (${source.name}):`);
+    logger.error(`The Gist with ID '${source.id}' was not found. Please check your PACKAGE_SOURCES/GIST_ID in .env file.`);
+    logger.error("Make sure the Gist exists and is accessible with your token (if private).");
+  } else if (source.type === "gist" && err.status === 403) {
+    logger.error(`❌ GitHub API Rate Limit Exceeded (${source.name}):`);
+    logger.error("You've hit GitHub's rate limit. Please wait a while or set a GITHUB_TOKEN to increase the limit.");
+  } else {
+    logger.error(`❌ Error fetching package source ${source.name}:`);
+    logger.error(`Error: ${err.message}`);
+  }
+}
+
+/**
+ * Fetches all sources and merges their codes, skipping sources that fail
+ * Transient errors are retried a few times before a source is skipped
+ * @param {object[]} sources - Source definitions from parseSourceList()
+ * @param {object} context - Shared clients, currently `{ octokit }`
+ * @returns {Promise<{codes: string[], annotations: Map, failed: object[], timings: object[]}>} Deduplicated codes in source order,
+ *   their merged `expiresAt` and `tags`, the sources that failed, and how long every source took (`source`, `seconds` and `ok`)
+ */
+export async function fetchAllSources(sources, context) {
+  const annotations = new Map();
+  const failed = [];
+  const timings = [];
+
+  for (const source of sources) {
+    const start = Date.now();
+    try {
+      const entries = await withRetry(() => fetchSourceCodes(source, context), { description: `Fetching ${source.name}` });
+      for (const entry of entries) {
+        annotations.set(entry.code, mergeAnnotations(annotations.get(entry.code), entry));
+      }
+      logger.info(`Loaded ${entries.length} codes from ${source.name}`);
+      timings.push({ source, seconds: (Date.now() - start) / 1000, ok: true });
+    } catch (err) {
+      logSourceError(source, err);
+      failed.push({ source, error: err });
+      timings.push({ source, seconds: (Date.now() - start) / 1000, ok: false });
+    }
+  }
+
+  return { codes: [...annotations.keys()], annotations, failed, timings };
+}
+
+/**
+ * Merges the annotations of a code listed more than once
+ * The code stays valid as long as one listing doesn't expire, and keeps the tags of all listings
+ * @param {object|undefined} known - Annotations so far
+ * @param {object} entry - Entry from parseCodeList()
+ * @returns {{expiresAt: string|null, tags: string[]}} Merged annotations
+ */
+function mergeAnnotations(known, entry) {
+  if (!known) {
+    return { expiresAt: entry.expiresAt, tags: entry.tags };
+  }
+  const expiresAt = known.expiresAt && entry.expiresAt ? [known.expiresAt, entry.expiresAt].sort().pop() : null;
+  return { expiresAt, tags: [...new Set([...known.tags, ...entry.tags])] };
+}
@@ -0,0 +1,229 @@
+import { readFileSync, openSync, writeSync, fsyncSync, closeSync, renameSync, copyFileSync, existsSync, statSync, unlinkSync, utimesSync } from "fs";
+import { hostname } from "os";
+import { randomBytes } from "crypto";
+import logger from "./logger.js";
+import { FatalError } from "./resilience.js";
+
+// How often the lock file is touched, and after how long without a touch a lock is considered abandoned
+const LOCK_REFRESH_MS = 30 * 1000;
+const LOCK_STALE_MS = 2 * 60 * 1000;
+
+// Minimum age of the newest backup before a write rotates the backups, so they keep older states than the last few writes
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const settings = {
+  backups: 3
+};
+
+const lock = {
+  file: null,
+  owner: null,
+  timer: null
+};
+
+/**
+ * Sets the storage options
+ * @param {object} options - Storage options
+ * @param {number} [options.backups=3] - Number of rotating backups kept for every file, 0 disables them
+ */
+export function configureStorage({ backups = 3 } = {}) {
+  settings.backups = backups;
+}
+
+/**
+ * Returns the path of a backup
+ * @param {string} file - Path of the storage file
+ * @param {number} index - Backup number, 1 is the newest
+ * @returns {string} Path of the backup
+ */
+function backupPath(file, index) {
+  return `${file}.${index}`;
+}
+
+/**
+ * Writes a file atomically: the content goes to a temporary file first, which then replaces the file,
+ * so a crash leaves either the old or the new content but never a truncated file
+ * @param {string} file - Path of the file
+ * @param {string} content - New content
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.tmp-${process.pid}`;
+  const fd = openSync(tempFile, "w");
+  try {
+    writeSync(fd, content);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tempFile, file);
+}
+
+/**
+ * Shifts the backups of a file by one and copies the current file to the newest backup,
+ * unless the newest backup was taken less than `BACKUP_INTERVAL_MS` ago
+ * @param {string} file - Path of the storage file
+ * @param {number} backups - Number of backups to keep
+ */
+function rotateBackups(file, backups) {
+  if (backups < 1 || !existsSync(file)) return;
+  if (existsSync(backupPath(file, 1)) && Date.now() - statSync(backupPath(file, 1)).mtimeMs < BACKUP_INTERVAL_MS) return;
+  for (let index = backups - 1; index >= 1; index--) {
+    if (existsSync(backupPath(file, index))) {
+      renameSync(backupPath(file, index), backupPath(file, index + 1));
+    }
+  }
+  copyFileSync(file, backupPath(file, 1));
+}
+
+/**
+ * Saves data as JSON, keeping previous versions as rotating backups, at most one per hour
+ * @param {string} file - Path of the file
+ * @param {*} data - Data to serialize
+ * @param {object} [options] - Write options
+ * @param {boolean} [options.pretty=true] - Indent the JSON
+ * @param {number} [options.backups] - Number of backups, defaults to the configured number
+ */
+export function writeJsonFile(file, data, { pretty = true, backups = settings.backups } = {}) {
+  const content = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+  rotateBackups(file, backups);
+  writeFileAtomic(file, content);
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} file - Path of the file
+ * @returns {*} Parsed content
+ * @throws {Error} With code ENOENT if the file doesn't exist, or a SyntaxError if it is corrupt
+ */
+function parseJsonFile(file) {
+  const content = readFileSync(file, "utf8");
+  if (!content.trim()) {
+    throw new SyntaxError("File is empty");
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Loads a JSON file, falling back to the newest backup that can be parsed if the file is corrupt
+ * A recovered file is restored from the backup and the corrupt one is kept next to it for inspection
+ * @param {string} file - Path of the file
+ * @param {object} [options] - Read options
+ * @param {boolean} [options.readOnly=false] - Don't restore the file on disk, e.g. for dry runs
+ * @returns {*} Parsed content, or null if the file doesn't exist
+ * @throws {Error} If the file and all of its backups are corrupt
+ */
+export function readJsonFile(file, { readOnly = false } = {}) {
+  let error;
+  try {
+    return parseJsonFile(file);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    error = err;
+  }
+
+  logger.warn(`⚠️  ${file} is corrupt (${error.message}), trying to recover it from a backup...`);
+  for (let index = 1; existsSync(backupPath(file, index)); index++) {
+    let data;
+    try {
+      data = parseJsonFile(backupPath(file, index));
+    } catch (err) {
+      logger.warn(`Backup ${backupPath(file, index)} is not usable either: ${err.message}`);
+      continue;
+    }
+
+    if (!readOnly) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      renameSync(file, corruptFile);
+      writeFileAtomic(file, readFileSync(backupPath(file, index), "utf8"));
+      logger.warn(`Restored ${file} from ${backupPath(file, index)}, the corrupt file was moved to ${corruptFile}.`);
+    } else {
+      logger.warn(`Using ${backupPath(file, index)} instead.`);
+    }
+    return data;
+  }
+
+  throw new Error(`${file} is corrupt and no usable backup exists: ${error.message}`);
+}
+
+/**
+ * Checks whether a lock left in the storage directory belongs to an instance that is gone
+ * Only a lock that hasn't been refreshed for `LOCK_STALE_MS` is abandoned: containers sharing the volume can have
+ * the same hostname and PID, and PIDs are reused after a restart, so the owner's PID says nothing either way.
+ * @param {number} touchedAt - Last modification time of the lock file
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isLockStale(touchedAt) {
+  return Date.now() - touchedAt > LOCK_STALE_MS;
+}
+
+/**
+ * Takes the lock file of the storage directory, so two instances sharing a volume don't overwrite each other's state
+ * The lock is refreshed periodically and released when the process exits
+ * @param {string} directory - Storage directory
+ * @throws {FatalError} If another running instance holds the lock
+ */
+export function acquireStorageLock(directory) {
+  const file = directory.replace(/\/?$/, "/") + "lock";
+  // The random ID tells this instance apart from one with the same hostname and PID in another container
+  const owner = { pid: process.pid, hostname: hostname(), startedAt: new Date().toISOString(), id: randomBytes(8).toString("hex") };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = openSync(file, "wx");
+      writeSync(fd, JSON.stringify(owner, null, 2));
+      closeSync(fd);
+      lock.file = file;
+      lock.owner = owner;
+      lock.timer = setInterval(refreshStorageLock, LOCK_REFRESH_MS);
+      lock.timer.unref();
+      process.on("exit", releaseStorageLock);
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    let current;
+    try {
+      current = JSON.parse(readFileSync(file, "utf8"));
+    } catch {
+      current = {}; // Only needed for the messages, an unreadable lock is taken over once it is stale like any other
+    }
+    if (!isLockStale(statSync(file).mtimeMs)) {
+      throw new FatalError(`Storage directory ${directory} is in use by another ASFclaim instance (PID ${current.pid} on ${current.hostname}, started ${current.startedAt}). The lock is taken over once it hasn't been refreshed for ${LOCK_STALE_MS / 60000} minutes, or remove ${file} if that instance is no longer running.`);
+    }
+    logger.warn(`Taking over the stale storage lock of PID ${current.pid} on ${current.hostname}.`);
+    unlinkSync(file);
+  }
+  throw new FatalError(`Could not take the storage lock ${file}, another instance took it at the same time.`);
+}
+
+/**
+ * Touches the lock file to show that this instance is still running
+ */
+function refreshStorageLock() {
+  try {
+    const now = new Date();
+    utimesSync(lock.file, now, now);
+  } catch (err) {
+    logger.warn("Could not refresh the storage lock: " + err.message);
+  }
+}
+
+/**
+ * Releases the storage lock if this instance still holds it
+ */
+export function releaseStorageLock() {
+  if (!lock.file) return;
+  clearInterval(lock.timer);
+  try {
+    const current = JSON.parse(readFileSync(lock.file, "utf8"));
+    if (current.id === lock.owner.id) {
+      unlinkSync(lock.file);
+    }
+  } catch {
+    // Already gone or taken over, nothing to release
+  }
+  lock.file = null;
+}
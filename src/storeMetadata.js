@@ -0,0 +1,220 @@
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+import { httpError, describeError } from "./resilience.js";
+
+// App fields kept in the cache, everything else from appdetails is dropped to keep the file small
+const CACHED_APP_FIELDS = ["steam_appid", "name", "type", "header_image", "developers", "publishers", "is_free"];
+
+// IDs the Store API answered with success: false (removed or region-locked) are cached for a shorter time
+const NEGATIVE_TTL_FACTOR = 0.25;
+
+const cache = {
+  file: null,
+  readOnly: false,
+  ttl: 7 * 24 * 60 * 60 * 1000,
+  backoffBase: 60 * 1000,
+  backoffMax: 60 * 60 * 1000,
+  onWarn: null,
+  data: { apps: {}, subs: {} },
+  inFlight: new Map(),
+  failures: 0,
+  blockedUntil: 0
+};
+
+/**
+ * Loads the Store metadata cache from disk and sets its options
+ * @param {string} file - Path of the cache file
+ * @param {object} [options] - Cache options
+ * @param {number} [options.ttlHours=168] - Hours before a cached entry is refetched
+ * @param {function(string): Promise} [options.onWarn] - Called once when the Store API starts failing
+ * @param {boolean} [options.readOnly=false] - Keep fetched metadata in memory only, e.g. for dry runs
+ */
+export function loadMetadataCache(file, { ttlHours = 168, onWarn = null, readOnly = false } = {}) {
+  cache.file = file;
+  cache.readOnly = readOnly;
+  cache.ttl = ttlHours * 60 * 60 * 1000;
+  cache.onWarn = onWarn;
+  try {
+    const data = readJsonFile(file, { readOnly }) || {};
+    cache.data = { apps: data.apps || {}, subs: data.subs || {} };
+  } catch (err) {
+    logger.warn("Could not read Store metadata cache, starting with an empty one: " + err.message);
+    cache.data = { apps: {}, subs: {} };
+  }
+}
+
+/**
+ * Saves the cache to disk
+ */
+function saveMetadataCache() {
+  if (!cache.file || cache.readOnly) return;
+  try {
+    // The cache can always be refetched, backups of it would only waste space
+    writeJsonFile(cache.file, cache.data, { pretty: false, backups: 0 });
+  } catch (err) {
+    logger.warn("Could not save Store metadata cache: " + err.message);
+  }
+}
+
+/**
+ * Checks whether a cache entry is still fresh
+ * @param {object} [entry] - Cache entry with `fetchedAt` and `data`
+ * @returns {boolean} True if the entry exists and hasn't expired
+ */
+function isFresh(entry) {
+  if (!entry) return false;
+  const ttl = entry.data === null ? cache.ttl * NEGATIVE_TTL_FACTOR : cache.ttl;
+  return Date.now() - entry.fetchedAt < ttl;
+}
+
+/**
+ * Fetches a Store API endpoint, backing off after repeated failures
+ * @param {string} url - Store API URL
+ * @returns {Promise<object>} Parsed response body
+ */
+async function fetchStoreApi(url) {
+  const res = await fetch(url, {
+    method: "get",
+    headers: {
+      "Content-Type": "application/json"
+    }
+  });
+  if (!res.ok) {
+    throw httpError(res, "Steam Store API");
+  }
+  const body = await res.json();
+  if (body == null) {
+    // The Store API answers with `null` while it throttles
+    throw new Error("Steam Store API returned an empty response");
+  }
+  return body;
+}
+
+/**
+ * Records a failed Store API request and starts a backoff period
+ * @param {string} what - What was being fetched, for log messages
+ * @param {Error} err - Error that occurred
+ */
+async function recordFailure(what, err) {
+  cache.failures++;
+  const delay = Math.min(cache.backoffBase * Math.pow(2, cache.failures - 1), cache.backoffMax);
+  cache.blockedUntil = Date.now() + delay;
+  logger.warn(`An error occurred while reading metadata for ${what}: ${describeError(err)}. Pausing Steam Store API requests for ${Math.round(delay / 1000)} seconds.`);
+
+  // Only report the first failure in a row, not every ID that is looked up during the outage
+  if (cache.failures === 1 && cache.onWarn) {
+    await cache.onWarn("An error occurred while connecting to the Steam Store API, using cached metadata for now. Check the logs for more information.");
+  }
+}
+
+/**
+ * Runs a cached lookup: returns fresh cache entries, coalesces concurrent requests for the same ID,
+ * and falls back to stale entries while the Store API is failing
+ * @param {string} kind - "apps" or "subs"
+ * @param {string} id - App or sub ID
+ * @param {function(): Promise<*>} load - Fetches the value from the Store API, resolves to null for unknown IDs
+ * @returns {Promise<*>} Cached or fetched value, undefined if unavailable
+ */
+async function lookup(kind, id, load) {
+  const entry = cache.data[kind][id];
+  if (isFresh(entry)) {
+    return entry.data;
+  }
+  if (Date.now() < cache.blockedUntil) {
+    return entry ? entry.data : undefined;
+  }
+
+  const key = kind + ":" + id;
+  if (cache.inFlight.has(key)) {
+    return cache.inFlight.get(key);
+  }
+
+  const request = (async () => {
+    try {
+      const data = await load();
+      cache.failures = 0;
+      cache.data[kind][id] = { data, fetchedAt: Date.now() };
+      saveMetadataCache();
+      return data;
+    } catch (err) {
+      await recordFailure(`${kind === "apps" ? "appId" : "subId"} ${id}`, err);
+      return entry ? entry.data : undefined;
+    } finally {
+      cache.inFlight.delete(key);
+    }
+  })();
+  cache.inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Returns the Store metadata of an app
+ * @param {string|number} appId - Steam application ID
+ * @returns {Promise<object|null|undefined>} App metadata, null if the Store doesn't know the app, undefined if unavailable
+ */
+export async function getAppMetadata(appId) {
+  return lookup("apps", String(appId), async () => {
+    const body = await fetchStoreApi("https://store.steampowered.com/api/appdetails?appids=" + appId);
+    if (!body[appId] || !body[appId].success) {
+      logger.warn(`Steam Store API has no details for appId ${appId}`);
+      return null;
+    }
+    const data = {};
+    for (const field of CACHED_APP_FIELDS) {
+      if (body[appId].data[field] !== undefined) {
+        data[field] = body[appId].data[field];
+      }
+    }
+    return data;
+  });
+}
+
+/**
+ * Returns the Store metadata of all apps in a package
+ * @param {string|number} subId - Steam package/subscription ID
+ * @returns {Promise<Array|undefined>} App metadata for every app of the package, entries may be null or undefined;
+ *   empty if the Store doesn't know the package, undefined if its app list is unavailable
+ */
+export async function getSubApps(subId) {
+  const appIds = await lookup("subs", String(subId), async () => {
+    const body = await fetchStoreApi("https://store.steampowered.com/api/packagedetails?packageids=" + subId);
+    if (!body[subId] || !body[subId].success) {
+      logger.warn(`Steam Store API has no details for subId ${subId}`);
+      return null;
+    }
+    return body[subId].data.apps.map(app => app.id);
+  });
+
+  if (appIds === undefined) {
+    return undefined;
+  }
+  const appMetadataResults = [];
+  for (const appId of appIds || []) {
+    appMetadataResults.push(await getAppMetadata(appId));
+  }
+  return appMetadataResults;
+}
+
+/**
+ * Returns the name and type of a license from the cache only, without contacting the Store API
+ * @param {"app"|"sub"} type - License type
+ * @param {string|number} id - App or sub ID
+ * @returns {{name: string, type: string}|null} Names and types of the license's apps joined with ", ", null if not cached
+ */
+export function getCachedLicenseInfo(type, id) {
+  let apps;
+  if (type === "app") {
+    apps = [cache.data.apps[String(id)]];
+  } else {
+    const sub = cache.data.subs[String(id)];
+    apps = sub && sub.data ? sub.data.map(appId => cache.data.apps[String(appId)]) : [];
+  }
+  apps = apps.filter(entry => entry && entry.data).map(entry => entry.data);
+  if (apps.length === 0) {
+    return null;
+  }
+  return {
+    name: apps.map(app => app.name).join(", "),
+    type: [...new Set(apps.map(app => app.type))].join(", ")
+  };
+}
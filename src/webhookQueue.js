@@ -0,0 +1,234 @@
+import logger from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./storage.js";
+import { httpError, describeError } from "./resilience.js";
+
+// Delay between two sends, so no more than 5 webhooks per second go out
+const SEND_INTERVAL_MS = 200;
+
+// Upper limit in seconds for the delay between retries of a failing webhook
+const MAX_RETRY_DELAY = 60;
+
+const queue = {
+  items: [],
+  processing: false,
+  retries: 3,
+  deadLetterFile: null,
+  deadLetters: [],
+  pausedUntil: new Map(), // Per host, from rate limit headers
+  onFailure: null
+};
+
+/**
+ * Sets the delivery options and loads the messages that couldn't be delivered before
+ * @param {object} options - Queue options
+ * @param {string|null} [options.deadLetterFile] - File undeliverable messages are kept in, null keeps them in memory only
+ * @param {number} [options.retries=3] - Retries of a message after a 5xx response, a 429 or a connection error
+ * @param {function(string)} [options.onFailure] - Called with the host of every message that couldn't be delivered
+ */
+export function configureWebhookQueue({ deadLetterFile = null, retries = 3, onFailure = null } = {}) {
+  queue.retries = retries;
+  queue.onFailure = onFailure;
+  if (deadLetterFile === queue.deadLetterFile) return;
+
+  queue.deadLetterFile = deadLetterFile;
+  try {
+    queue.deadLetters = (deadLetterFile && readJsonFile(deadLetterFile)) || [];
+  } catch (err) {
+    logger.warn("Could not read the undelivered webhooks, starting without them: " + err.message);
+    queue.deadLetters = [];
+  }
+}
+
+/**
+ * Saves the dead letters to disk
+ */
+function saveDeadLetters() {
+  if (!queue.deadLetterFile) return;
+  try {
+    writeJsonFile(queue.deadLetterFile, queue.deadLetters);
+  } catch (err) {
+    logger.warn("Could not save the undelivered webhooks: " + err.message);
+  }
+}
+
+/**
+ * Removes a message from the dead letters
+ * @param {object} letter - Dead letter
+ */
+function removeDeadLetter(letter) {
+  const index = queue.deadLetters.indexOf(letter);
+  if (index !== -1) {
+    queue.deadLetters.splice(index, 1);
+  }
+}
+
+/**
+ * Returns the number of waiting and undelivered messages
+ * @returns {{queued: number, deadLetters: number}} Messages waiting in the queue and kept in the dead-letter file
+ */
+export function getWebhookQueueStats() {
+  return { queued: queue.items.length, deadLetters: queue.deadLetters.length };
+}
+
+/**
+ * Reads how long a 429 response asks to wait, from Discord's `retry_after` or the standard headers
+ * @param {Response} res - Fetch response
+ * @returns {Promise<number>} Seconds to wait
+ */
+async function getRetryAfter(res) {
+  try {
+    const body = await res.json();
+    if (typeof body.retry_after === "number") {
+      return body.retry_after;
+    }
+  } catch {
+    // Not JSON, fall back to the headers
+  }
+  const header = Number(res.headers.get("retry-after") || res.headers.get("x-ratelimit-reset-after"));
+  return header > 0 ? header : 1;
+}
+
+/**
+ * Pauses sending to a host when its rate limit headers say the current bucket is used up
+ * @param {string} host - Webhook host
+ * @param {Response} res - Fetch response
+ */
+function recordRateLimit(host, res) {
+  const resetAfter = Number(res.headers.get("x-ratelimit-reset-after"));
+  if (res.headers.get("x-ratelimit-remaining") === "0" && resetAfter > 0) {
+    queue.pausedUntil.set(host, Date.now() + resetAfter * 1000);
+  }
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise} Promise that resolves after the delay
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends one message, honoring rate limits and retrying 429s, 5xx responses and connection errors with backoff
+ * @param {object} item - Queued message with `url` and `options`
+ * @throws {Error} With `retryable` set if the message could be delivered later
+ */
+async function deliver(item) {
+  const host = new URL(item.url).host;
+  for (let attempt = 1; ; attempt++) {
+    const pausedFor = (queue.pausedUntil.get(host) || 0) - Date.now();
+    if (pausedFor > 0) {
+      await wait(pausedFor);
+    }
+
+    let res = null;
+    let error;
+    try {
+      res = await fetch(item.url, item.options);
+      recordRateLimit(host, res);
+      if (res.ok) return;
+      error = httpError(res, "Webhook failed");
+    } catch (err) {
+      error = err;
+    }
+
+    error.retryable = !res || res.status === 408 || res.status === 429 || res.status >= 500;
+    if (!error.retryable || attempt > queue.retries) {
+      throw error;
+    }
+    const delay = res && res.status === 429
+      ? await getRetryAfter(res)
+      : Math.min(2 * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+    logger.warn(`Webhook to ${host} failed (${describeError(error)}), retry ${attempt}/${queue.retries} in ${delay} seconds...`);
+    await wait(delay * 1000);
+  }
+}
+
+/**
+ * Sends the queued messages one after another, keeping the ones that can't be delivered in the dead-letter file
+ */
+async function processWebhookQueue() {
+  if (queue.processing || queue.items.length === 0) return;
+
+  queue.processing = true;
+  while (queue.items.length > 0) {
+    const item = queue.items[0];
+    try {
+      await deliver(item);
+      if (item.deadLetter) {
+        removeDeadLetter(item.deadLetter);
+        saveDeadLetters();
+      }
+      item.resolve();
+    } catch (error) {
+      logger.error(`Webhook send failed: ${describeError(error)}`);
+      if (queue.onFailure) queue.onFailure(new URL(item.url).host);
+      if (error.retryable) {
+        const letter = item.deadLetter || { url: item.url, options: item.options };
+        letter.failedAt = new Date().toISOString();
+        letter.error = describeError(error);
+        if (!item.deadLetter) queue.deadLetters.push(letter);
+        logger.warn(`Kept the webhook for redelivery on the next start (${queue.deadLetters.length} undelivered).`);
+      } else if (item.deadLetter) {
+        // Rejected for good (e.g. the webhook was deleted), retrying again won't help
+        removeDeadLetter(item.deadLetter);
+      }
+      saveDeadLetters();
+      item.reject(error);
+    }
+    queue.items.shift();
+    await wait(SEND_INTERVAL_MS);
+  }
+  queue.processing = false;
+}
+
+/**
+ * Queues a webhook for sending with rate limiting and retries
+ * @param {string} url - The webhook URL to send to
+ * @param {object} options - Fetch options for the webhook request, with a string body so it can be persisted
+ * @returns {Promise} Promise that resolves when the webhook is sent and rejects if it couldn't be delivered
+ */
+export function sendWebhook(url, options) {
+  return new Promise((resolve, reject) => {
+    queue.items.push({ url, options, resolve, reject });
+    processWebhookQueue();
+  });
+}
+
+/**
+ * Queues the messages from the dead-letter file again, they stay in it until they are delivered
+ * @returns {number} Number of messages queued
+ */
+export function redeliverDeadLetters() {
+  for (const letter of queue.deadLetters) {
+    // Failures are handled by the queue, nobody waits for these
+    new Promise((resolve, reject) => {
+      queue.items.push({ url: letter.url, options: letter.options, deadLetter: letter, resolve, reject });
+    }).catch(() => {});
+  }
+  processWebhookQueue();
+  return queue.deadLetters.length;
+}
+
+/**
+ * Waits for the queued messages to be sent, e.g. before exiting
+ * Messages that aren't delivered within the timeout are kept in the dead-letter file for the next start
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<number>} Number of messages that weren't delivered in time
+ */
+export async function drainWebhookQueue(timeout) {
+  const deadline = Date.now() + timeout;
+  while (queue.items.length > 0 && Date.now() < deadline) {
+    await wait(Math.min(100, deadline - Date.now()));
+  }
+
+  const undelivered = queue.items.filter(item => !item.deadLetter);
+  for (const item of undelivered) {
+    queue.deadLetters.push({ url: item.url, options: item.options, failedAt: new Date().toISOString(), error: "Not sent before shutdown" });
+  }
+  if (undelivered.length > 0) {
+    saveDeadLetters();
+  }
+  return queue.items.length;
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { startApiServer } from "../src/api.js";
+
+/**
+ * Starts the API on a free port with stub handlers
+ * @param {object} health - State returned by getHealth()
+ * @returns {Promise<{server: http.Server, base: string, calls: string[]}>} Server, its base URL and the handlers called
+ */
+async function startStubServer(health) {
+  const calls = [];
+  const server = startApiServer({ port: 0, host: "127.0.0.1", password: "secret" }, {
+    getHealth: () => health,
+    getPlan: async () => {
+      calls.push("plan");
+      return { instances: [] };
+    },
+    run: () => {
+      calls.push("run");
+      return true;
+    }
+  });
+  await once(server, "listening");
+  return { server, base: `http://127.0.0.1:${server.address().port}`, calls };
+}
+
+test("GET /plan needs the password", async () => {
+  const { server, base, calls } = await startStubServer({ healthy: true, asfReady: true });
+  try {
+    assert.equal((await fetch(base + "/plan")).status, 401);
+    assert.equal((await fetch(base + "/plan?password=wrong")).status, 401);
+    assert.deepEqual(calls, []);
+    assert.equal((await fetch(base + "/plan", { headers: { Authentication: "secret" } })).status, 200);
+    assert.equal((await fetch(base + "/run?password=secret", { method: "POST" })).status, 202);
+    assert.deepEqual(calls, ["plan", "run"]);
+  } finally {
+    server.close();
+  }
+});
+
+test("GET /health answers 503 while ASF isn't ready", async () => {
+  const health = { healthy: true, asfReady: false };
+  const { server, base } = await startStubServer(health);
+  try {
+    assert.equal((await fetch(base + "/health")).status, 503);
+    health.asfReady = true;
+    assert.equal((await fetch(base + "/health")).status, 200);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { once } from "events";
+import { parseASFStatus, parseASFResult, createASFClient } from "../src/asfClient.js";
+
+/**
+ * Starts a stub ASF IPC server on a free port
+ * @param {function(string, string, object): {status?: number, Result: *}} respond - Returns the response for a method,
+ *   URL and JSON body
+ * @returns {Promise<{server: http.Server, client: object}>} Server and an ASF client connected to it
+ */
+async function startStubASF(respond) {
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      const { status = 200, Result } = respond(req.method, decodeURIComponent(req.url), body ? JSON.parse(body) : null);
+      res.statusCode = status;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ Success: status === 200, Message: "OK", Result }));
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { server, client: createASFClient({ protocol: "http", host: "127.0.0.1", port: server.address().port }) };
+}
+
+test("bots that lost their Steam connection aren't ready", () => {
+  const status = parseASFStatus([
+    "<b1> Bot is not idling anything.",
+    "<b2> Bot is disconnected.",
+    "<b3> Bot is offline.",
+    "<b4> Bot is not connected."
+  ].join("\n"));
+
+  assert.equal(status.user.b1.ready, true);
+  assert.equal(status.user.b2.ready, false);
+  assert.equal(status.user.b3.ready, false);
+  assert.equal(status.user.b4.ready, false);
+  assert.equal(status.isDone, true);
+});
+
+test("a connecting bot isn't done yet", () => {
+  const status = parseASFStatus("<b1> Bot is connecting to Steam network.");
+  assert.equal(status.user.b1.ready, false);
+  assert.equal(status.isDone, false);
+});
+
+test("bots ASF doesn't know are flagged as unknown", () => {
+  const status = parseASFStatus("<ASF> Couldn't find any bot named b9!\n<b1> Bot is offline.");
+  assert.equal(status.user.ASF.unknown, true);
+  assert.equal(status.user.b1.unknown, false);
+  assert.equal(status.user.b1.ready, false);
+});
+
+test("addlicense command results are parsed per bot", () => {
+  const results = parseASFResult([
+    "<main> ID: app/10 | Status: OK | Items: app/10, sub/20",
+    "<alt> ID: app/10 | Status: OK",
+    "<third> ID: sub/30 | Status: Fail/AlreadyPurchased",
+    "<fourth> Bot is not connected."
+  ].join("\n"));
+
+  assert.deepEqual(results.main, { id: "app/10", status: "OK | Items: app/10, sub/20", result: "OK", detail: null, granted: ["app/10", "sub/20"] });
+  assert.equal(results.alt.status, "OK -> Not available for this account");
+  assert.deepEqual(results.third, { id: "sub/30", status: "Fail/AlreadyPurchased", result: "Fail", detail: "AlreadyPurchased", granted: [] });
+  assert.equal(results.fourth.status, "Bot is not connected.");
+  assert.deepEqual(parseASFResult("Couldn't find any bot named ghost!"), {});
+});
+
+test("AddLicense endpoint results are parsed like the command's", async () => {
+  const requests = [];
+  const { server, client } = await startStubASF((method, url, body) => {
+    requests.push(`${method} ${url}`);
+    if (url === "/Api/ASF") return { Result: { Version: "6.0.0.0" } };
+    if (body && body.Packages) {
+      return { Result: { main: { Packages: { 456: { Result: 1, PurchaseResultDetail: 9 } } } } };
+    }
+    return { Result: { main: { Apps: { 10: { Result: 1, GrantedApps: [10], GrantedPackages: [20] } } }, alt: { Apps: { 10: 84 } } } };
+  });
+  try {
+    assert.equal((await client.detectCapabilities()).nativeAddLicense, true);
+
+    const app = await client.addLicense("main,alt", "a/10");
+    assert.deepEqual(app.results.main, { id: "app/10", status: "OK | Items: app/10, sub/20", result: "OK", detail: null, granted: ["app/10", "sub/20"] });
+    assert.equal(app.results.alt.status, "RateLimitExceeded");
+
+    // Bots ASF leaves out of the response are retried like offline bots
+    const sub = await client.addLicense("main,alt", "s/456");
+    assert.equal(sub.results.main.status, "OK/AlreadyPurchased");
+    assert.equal(sub.results.alt.status, "Bot is not connected");
+    assert.deepEqual(requests.slice(1), ["POST /Api/Bot/main,alt/AddLicense", "POST /Api/Bot/main,alt/AddLicense"]);
+  } finally {
+    server.close();
+  }
+});
+
+test("old ASF versions claim through the command endpoint", async () => {
+  const commands = [];
+  const { server, client } = await startStubASF((method, url, body) => {
+    if (url === "/Api/ASF") return { status: 404 };
+    commands.push(body.Command);
+    return { Result: "<main> ID: sub/456 | Status: OK/NoDetail" };
+  });
+  try {
+    assert.equal((await client.detectCapabilities()).nativeAddLicense, false);
+    const claim = await client.addLicense("main", "s/456");
+    assert.deepEqual(commands, ["!addlicense main s/456"]);
+    assert.equal(claim.results.main.status, "OK/NoDetail");
+    assert.equal(claim.request, "!addlicense main s/456");
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadClaimQueue, saveClaimQueue, syncClaimQueue, removeFromClaimQueue, isClaimingPaused, pauseClaiming, resetBackoff } from "../src/claimQueue.js";
+
+/**
+ * Creates an empty storage directory that is removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Path of the directory
+ */
+function tempStorage(t) {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const policy = { backoffMinutes: 10, backoffMaxMinutes: 60 };
+
+/**
+ * Returns the minutes from now until claiming resumes
+ * @param {Date} resumeAt - Result of pauseClaiming()
+ * @returns {number} Rounded minutes
+ */
+function minutesUntil(resumeAt) {
+  return Math.round((resumeAt.getTime() - Date.now()) / 60000);
+}
+
+test("the backoff doubles on every rate limit up to the maximum and resets after a claim", () => {
+  const queue = { pending: [], pausedUntil: null, backoffLevel: 0 };
+  assert.equal(minutesUntil(pauseClaiming(queue, policy)), 10);
+  assert.equal(minutesUntil(pauseClaiming(queue, policy)), 20);
+  assert.equal(minutesUntil(pauseClaiming(queue, policy)), 40);
+  assert.equal(minutesUntil(pauseClaiming(queue, policy)), 60);
+  assert.equal(isClaimingPaused(queue), true);
+
+  resetBackoff(queue);
+  assert.equal(isClaimingPaused(queue), false);
+  assert.equal(minutesUntil(pauseClaiming(queue, policy)), 10);
+});
+
+test("claiming resumes once the backoff delay has passed", () => {
+  assert.equal(isClaimingPaused({ pausedUntil: new Date(Date.now() - 1000).toISOString() }), false);
+  assert.equal(isClaimingPaused({ pausedUntil: null }), false);
+});
+
+test("new codes are queued first and finished codes are dropped", () => {
+  const queue = { pending: ["a/1", "a/2", "a/3"], pausedUntil: null, backoffLevel: 0 };
+  syncClaimQueue(queue, ["a/9", "a/2"], code => code === "a/3");
+  assert.deepEqual(queue.pending, ["a/9", "a/1", "a/2"]);
+
+  removeFromClaimQueue(queue, "a/1");
+  assert.deepEqual(queue.pending, ["a/9", "a/2"]);
+});
+
+test("a paused queue is restored with its backoff after a restart", t => {
+  const file = join(tempStorage(t), "claimQueue");
+  const queue = loadClaimQueue(file);
+  assert.deepEqual(queue, { pending: [], pausedUntil: null, backoffLevel: 0 });
+
+  queue.pending = ["a/1", "s/2"];
+  pauseClaiming(queue, policy);
+  saveClaimQueue(file, queue);
+
+  const restored = loadClaimQueue(file);
+  assert.deepEqual(restored, queue);
+  assert.equal(isClaimingPaused(restored), true);
+});
+
+test("a corrupt queue without backups starts empty", t => {
+  const file = join(tempStorage(t), "claimQueue");
+  writeFileSync(file, "{ not json");
+  assert.deepEqual(loadClaimQueue(file, { readOnly: true }), { pending: [], pausedUntil: null, backoffLevel: 0 });
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCodeList, legacyProcessedCodes, normalizeCode, isExpired } from "../src/codeList.js";
+
+test("lastlength migration counts codes, not lines", () => {
+  const gist = [
+    "# Free packages",
+    "a/100",
+    "",
+    "s/200 # weekend deal",
+    "   ",
+    "# more below",
+    "a/300 expires:2026-11-01",
+    "a/400"
+  ].join("\n");
+  const { entries } = parseCodeList(gist);
+
+  assert.deepEqual(legacyProcessedCodes(entries, 3), ["a/100", "s/200", "a/300"]);
+  assert.deepEqual(legacyProcessedCodes(entries, 0), []);
+  assert.deepEqual(legacyProcessedCodes(entries, 10), ["a/100", "s/200", "a/300", "a/400"]);
+});
+
+test("codes are normalized to a/<id> and s/<id>", () => {
+  assert.equal(normalizeCode(" app/10 "), "a/10");
+  assert.equal(normalizeCode("SUB/20"), "s/20");
+  assert.equal(normalizeCode("30"), "s/30");
+  assert.equal(normalizeCode("game/40"), null);
+});
+
+test("annotations apply to every code of their line", () => {
+  const { entries, invalid } = parseCodeList("a/10, s/20 expires:2026-11-01 tags:DLC,f2p # weekend\napp/30");
+  assert.deepEqual(invalid, []);
+  assert.deepEqual(entries.map(entry => [entry.code, entry.line, entry.tags]), [["a/10", 1, ["dlc", "f2p"]], ["s/20", 1, ["dlc", "f2p"]], ["a/30", 2, []]]);
+  assert.equal(entries[0].expiresAt, new Date(2026, 10, 2).toISOString());
+  assert.equal(entries[2].expiresAt, null);
+});
+
+test("lines with anything but codes and valid annotations are rejected as a whole", () => {
+  const { entries, invalid } = parseCodeList("a/10 game/20\ns/30 expires:2026-02-30\nexpires:2026-11-01\ns/40 tags:\"x\"");
+  assert.deepEqual(entries, []);
+  assert.deepEqual(invalid.map(line => [line.line, line.reason]), [
+    [1, "'game/20' is not a license code"],
+    [2, "'2026-02-30' is not a date like 2026-11-01"],
+    [3, "no license code"],
+    [4, "'\"x\"' is not a list of tags like dlc,f2p"]
+  ]);
+});
+
+test("a date expires at the end of that day, a time exactly then", () => {
+  const [day, time] = parseCodeList("a/10 expires:2026-11-01\na/20 expires:2026-11-01T18:00Z").entries;
+  assert.equal(isExpired(day, new Date(2026, 10, 1, 23, 59)), false);
+  assert.equal(isExpired(day, new Date(2026, 10, 2)), true);
+  assert.equal(isExpired(time, new Date("2026-11-01T17:59Z")), false);
+  assert.equal(isExpired(time, new Date("2026-11-01T18:00Z")), true);
+  assert.equal(isExpired(undefined), false);
+});
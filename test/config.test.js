@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig, readConfigFile, applyConfig } from "../src/config.js";
+
+/**
+ * Writes a config file into a directory that is removed after the test
+ * @param {object} t - Test context
+ * @param {string} name - File name, the extension picks YAML or JSON
+ * @param {string} content - File content
+ * @returns {string} Path of the file
+ */
+function configFile(t, name, content) {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  const file = join(directory, name);
+  writeFileSync(file, content);
+  return file;
+}
+
+test("environment variables override the config file, empty ones count as unset", t => {
+  const file = configFile(t, "config.yml", "ASF_HOST: asf.local\nASF_PORT: 1300\nASF_BOTS:\n  - main\n  - alt\nLOG_LEVEL: debug\n");
+  const config = loadConfig({ ASF_PORT: "1400", LOG_LEVEL: "", PATH: "/usr/bin" }, file);
+
+  assert.equal(config.host, "asf.local");
+  assert.equal(config.port, "1400");
+  assert.equal(config.bots, "main,alt");
+  assert.equal(config.logLevel, "debug");
+  assert.equal(config.claimBatchSize, "40");
+  assert.equal(config.configFile, file);
+  assert.equal(config.asfInstances[0].bots, "main,alt");
+});
+
+test("JSON config files are read like YAML ones", t => {
+  const file = configFile(t, "config.json", JSON.stringify({ ASF_PORT: 1300, OWNERSHIP_CHECK: false, WEBHOOK_ENABLEDTYPES: ["error", "success"] }));
+  assert.deepEqual(readConfigFile(file), { ASF_PORT: "1300", OWNERSHIP_CHECK: "false", WEBHOOK_ENABLEDTYPES: "error;success" });
+});
+
+test("unknown settings and nested values in the config file are rejected", t => {
+  const file = configFile(t, "config.yml", "ASF_HOTS: asf.local\nASF_PORT:\n  value: 1300\nASF_HOST:\n  - a\n  - b\n");
+  assert.throws(() => readConfigFile(file), error => {
+    assert.match(error.message, /ASF_HOTS: unknown setting/);
+    assert.match(error.message, /ASF_PORT: must be a single value, not a mapping/);
+    assert.match(error.message, /ASF_HOST: must be a single value, not a list/);
+    return true;
+  });
+});
+
+test("every invalid setting is reported at once", () => {
+  assert.throws(() => loadConfig({ ASF_PORT: "70000", LOG_LEVEL: "verbose", DRY_RUN: "yes", CLAIM_BATCH_SIZE: "1.5", WEBHOOK_ENABLEDTYPES: "error;sucess" }), error => {
+    assert.match(error.message, /ASF_PORT: must be at least 1 and at most 65535, got '70000'/);
+    assert.match(error.message, /LOG_LEVEL: must be one of error, warn, info, debug, got 'verbose'/);
+    assert.match(error.message, /DRY_RUN: must be true or false, got 'yes'/);
+    assert.match(error.message, /CLAIM_BATCH_SIZE: must be a whole number, got '1.5'/);
+    assert.match(error.message, /WEBHOOK_ENABLEDTYPES: unknown value\(s\) sucess/);
+    return true;
+  });
+});
+
+test("booleans and enums are case-insensitive and combined settings are parsed", () => {
+  const config = loadConfig({ DRY_RUN: "TRUE", LOG_FORMAT: "JSON", ASF_CLAIM_SCHEDULE: "0 */6 * * *", QUIET_HOURS: "23:00-07:00", CLAIM_BACKOFF: "90", CLAIM_BACKOFF_MAX: "30" });
+  assert.equal(config.dryRun, "true");
+  assert.equal(config.logFormat, "json");
+  assert.equal(config.claimSchedule.type, "cron");
+  assert.deepEqual(config.quietHoursRange, { start: 23 * 60, end: 7 * 60 });
+  assert.equal(config.claimPolicy.backoffMaxMinutes, 90);
+});
+
+test("a reload applies changed settings and keeps those that need a restart", () => {
+  const current = loadConfig({ LOG_LEVEL: "info", API_PORT: "8080" });
+  const next = loadConfig({ LOG_LEVEL: "debug", API_PORT: "9090" });
+  const { changed, restartRequired } = applyConfig(current, next);
+
+  assert.deepEqual(changed, ["LOG_LEVEL", "API_PORT"]);
+  assert.deepEqual(restartRequired, ["API_PORT"]);
+  assert.equal(current.logLevel, "debug");
+  assert.equal(current.apiPort, "8080");
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFilterRules, evaluateFilterRules } from "../src/filters.js";
+
+const game = { type: "game", name: "Space Game", developers: ["Studio"], publishers: ["Ubisoft Entertainment"] };
+const soundtrack = { type: "music", name: "Space Game Soundtrack", developers: ["Studio"], publishers: ["Ubisoft Entertainment"] };
+
+/**
+ * Returns a metadata loader that counts its calls
+ * @param {Array|undefined} apps - Store metadata to resolve to
+ * @returns {function(): Promise<Array|undefined>} Loader with a `calls` counter
+ */
+function loader(apps) {
+  const load = async () => {
+    load.calls++;
+    return apps;
+  };
+  load.calls = 0;
+  return load;
+}
+
+test("rules are parsed with their bots, action, field and values", () => {
+  const [idRule, metadataRule, regexRule] = parseFilterRules("main:include:app:10, 20; alt1,alt2:EXCLUDE:publisher:Ubisoft*;exclude:name:/demo|test, server/");
+  assert.deepEqual(idRule, { text: "main:include:app:10, 20", bots: ["main"], action: "include", field: "app", matchers: ["10", "20"] });
+  assert.deepEqual(metadataRule.bots, ["alt1", "alt2"]);
+  assert.equal(metadataRule.action, "exclude");
+  assert.equal(metadataRule.matchers[0].test("ubisoft entertainment"), true);
+  assert.equal(regexRule.bots, null);
+  assert.equal(regexRule.matchers.length, 1);
+  assert.equal(regexRule.matchers[0].test("Dedicated Test, Server"), true);
+});
+
+test("invalid rules are reported together", () => {
+  assert.throws(() => parseFilterRules("exclude:genre:rpg;include:app:abc;skip:app:10;exclude:name:/(/"), error => {
+    assert.match(error.message, /unknown field 'genre'/);
+    assert.match(error.message, /must list numeric app IDs/);
+    assert.match(error.message, /'skip:app:10' must look like/);
+    assert.match(error.message, /invalid pattern/);
+    return true;
+  });
+});
+
+test("an exclude rule skips matching licenses for the bots it names", async () => {
+  const rules = parseFilterRules("alt:exclude:sub:456;exclude:tag:beta*");
+  const load = loader([game]);
+  assert.deepEqual(await evaluateFilterRules(rules, ["main", "alt"], { type: "sub", id: "456", tags: [] }, load), {
+    alt: { status: "Skipped: excluded by alt:exclude:sub:456" }
+  });
+  assert.deepEqual(await evaluateFilterRules(rules, ["main"], { type: "app", id: "10", tags: ["Beta-Test"] }, load), {
+    main: { status: "Skipped: excluded by exclude:tag:beta*" }
+  });
+  assert.equal(load.calls, 0);
+});
+
+test("bots with include rules only get the licenses one of them matches", async () => {
+  const rules = parseFilterRules("main:include:app:10;main:include:type:dlc");
+  const load = loader([game]);
+  assert.deepEqual(await evaluateFilterRules(rules, ["main", "alt"], { type: "app", id: "10", tags: [] }, load), {});
+  assert.deepEqual(await evaluateFilterRules(rules, ["main", "alt"], { type: "app", id: "11", tags: [] }, load), {
+    main: { status: "Skipped: not matched by any include rule" }
+  });
+  // Loaded once per license, alt has no rules that need it
+  assert.equal(load.calls, 2);
+});
+
+test("metadata exclude rules only skip packages whose apps all match", async () => {
+  const rules = parseFilterRules("exclude:type:music");
+  const license = { type: "sub", id: "456", tags: [] };
+  assert.deepEqual(await evaluateFilterRules(rules, ["main"], license, loader([game, soundtrack])), {});
+  assert.deepEqual(await evaluateFilterRules(rules, ["main"], license, loader([soundtrack])), {
+    main: { status: "Skipped: excluded by exclude:type:music" }
+  });
+});
+
+test("metadata rules are deferred while the Store is unavailable", async () => {
+  const rules = parseFilterRules("exclude:publisher:Ubisoft*;alt:exclude:app:99");
+  assert.deepEqual(await evaluateFilterRules(rules, ["main"], { type: "app", id: "10", tags: [] }, loader(undefined)), {
+    main: { status: "Deferred: Store metadata unavailable" }
+  });
+});
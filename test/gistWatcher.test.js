@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startGistWatcher } from "../src/gistWatcher.js";
+
+test("a change that can't be handled yet keeps the ETag and is handed over again on 304", async t => {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  const stateFile = join(directory, "gistWatch");
+
+  // The gist changes once after the first poll
+  const requests = [];
+  const octokit = {
+    gists: {
+      get: async ({ headers }) => {
+        requests.push(headers["if-none-match"] || null);
+        const [content, etag] = requests.length === 1 ? ["a/1", "\"v1\""] : ["a/1\na/2", "\"v2\""];
+        if (headers["if-none-match"] === etag) {
+          throw Object.assign(new Error("Not Modified"), { status: 304 });
+        }
+        return { data: { files: { codes: { content } } }, headers: { etag } };
+      }
+    }
+  };
+  const changes = [];
+  const watcher = startGistWatcher({
+    sources: [{ type: "gist", id: "abc", file: "codes", name: "gist:abc" }],
+    octokit,
+    stateFile,
+    interval: 0.01,
+    onChange: async (source, entries) => {
+      changes.push(entries.map(entry => entry.code));
+      return changes.length === 3;
+    }
+  });
+  while (requests.length < 6) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  watcher.stop();
+
+  assert.deepEqual(requests, [null, "\"v1\"", "\"v2\"", "\"v2\"", "\"v2\"", "\"v2\""]);
+  assert.equal(changes.length, 3);
+  assert.deepEqual(changes[2], ["a/1", "a/2"]);
+  const state = JSON.parse(readFileSync(stateFile, "utf8"))["abc/codes"];
+  assert.equal(state.etag, "\"v2\"");
+  assert.equal(state.pendingHash, undefined);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadLedger, getPendingBots, isLicenseComplete, isFinalStatus, isFailedStatus, recordLicenseResult, markLicense, ALL_BOTS } from "../src/ledger.js";
+
+/**
+ * Creates an empty storage directory that is removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Path of the directory
+ */
+function tempStorage(t) {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test("transient statuses are retried, everything else is final", () => {
+  for (const status of ["Timeout", "Fail/RateLimited", "Bot is not ready", "Bot is not connected", "Deferred: quiet hours"]) {
+    assert.equal(isFinalStatus(status), false, status);
+  }
+  for (const status of ["OK/NoDetail", "Fail/AlreadyPurchased", "Fail/InvalidPackage", "Unknown", "Skipped: not ready for the filter"]) {
+    assert.equal(isFinalStatus(status), true, status);
+  }
+  assert.equal(isFailedStatus("Fail/AlreadyPurchased"), false);
+  assert.equal(isFailedStatus("Fail/InvalidPackage"), true);
+  assert.equal(isFailedStatus("Timeout"), true);
+});
+
+test("a license is pending until every bot has a final status", () => {
+  const ledger = { version: 2, licenses: {} };
+  assert.equal(getPendingBots(ledger, "a/123"), null);
+  assert.equal(isLicenseComplete(ledger, "a/123"), false);
+
+  recordLicenseResult(ledger, "a/123", { main: { status: "OK/NoDetail" }, alt: { status: "Fail/RateLimited" } });
+  assert.deepEqual(getPendingBots(ledger, "a/123"), ["alt"]);
+  assert.equal(isLicenseComplete(ledger, "a/123"), false);
+
+  recordLicenseResult(ledger, "a/123", { alt: { status: "OK/NoDetail" } });
+  assert.deepEqual(getPendingBots(ledger, "a/123"), []);
+  assert.equal(isLicenseComplete(ledger, "a/123"), true);
+});
+
+test("an unparsable result completes the license for all bots", () => {
+  const ledger = { version: 2, licenses: {} };
+  recordLicenseResult(ledger, "a/123", {});
+  assert.equal(ledger.licenses["a/123"][ALL_BOTS].status, "Unknown");
+  assert.equal(isLicenseComplete(ledger, "a/123"), true);
+});
+
+test("bots removed from the bot list are no longer pending", () => {
+  const ledger = { version: 2, licenses: {} };
+  recordLicenseResult(ledger, "a/123", { main: { status: "Bot is not ready" }, old: { status: "Bot is not ready" } });
+
+  assert.deepEqual(getPendingBots(ledger, "a/123", "main,Other"), ["main"]);
+  assert.deepEqual(getPendingBots(ledger, "a/123", "Other"), []);
+  assert.equal(isLicenseComplete(ledger, "a/123", "Other"), true);
+  assert.deepEqual(getPendingBots(ledger, "a/123", "ASF"), ["main", "old"]);
+});
+
+test("marking a license finalizes the pending bots", () => {
+  const ledger = { version: 2, licenses: {} };
+  recordLicenseResult(ledger, "a/123", { main: { status: "OK/NoDetail" }, alt: { status: "Timeout" } });
+  markLicense(ledger, "a/123");
+  assert.equal(ledger.licenses["a/123"].main.status, "OK/NoDetail");
+  assert.equal(ledger.licenses["a/123"].alt.status, "Marked");
+
+  markLicense(ledger, "s/456");
+  assert.equal(isLicenseComplete(ledger, "s/456"), true);
+});
+
+test("the flat list of processed licenses is migrated to per-bot entries", t => {
+  const file = join(tempStorage(t), "processedLicenses");
+  writeFileSync(file, JSON.stringify(["a/123", "s/456"]));
+
+  const ledger = loadLedger(file);
+  assert.deepEqual(Object.keys(ledger.licenses), ["a/123", "s/456"]);
+  assert.equal(ledger.licenses["a/123"][ALL_BOTS].status, "Migrated");
+  assert.equal(isLicenseComplete(ledger, "s/456", "main"), true);
+  assert.equal(JSON.parse(readFileSync(file, "utf8")).version, 2);
+});
+
+test("a dry run migrates the flat list in memory only", t => {
+  const file = join(tempStorage(t), "processedLicenses");
+  writeFileSync(file, JSON.stringify(["a/123"]));
+
+  const ledger = loadLedger(file, { readOnly: true });
+  assert.equal(isLicenseComplete(ledger, "a/123"), true);
+  assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), ["a/123"]);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import logger, { setRedactedSecrets } from "../src/logger.js";
+
+/**
+ * Logs a line and returns what the transports receive
+ * @param {function(): void} log - Logs the line
+ * @returns {object} Logged info object
+ */
+function capture(log) {
+  let logged = null;
+  const listener = info => { logged = info; };
+  logger.once("data", listener);
+  log();
+  logger.off("data", listener);
+  return logged;
+}
+
+test("long secrets are redacted anywhere, short ones only as whole words", () => {
+  setRedactedSecrets(["ab", "longer-token-1234567890"]);
+  const info = capture(() => logger.info("pass ab in table, token xlonger-token-1234567890", { body: { Message: "ab" } }));
+  assert.equal(info.message, "pass [REDACTED] in table, token x[REDACTED]");
+  assert.deepEqual(info.body, { Message: "[REDACTED]" });
+  setRedactedSecrets([]);
+});
+
+test("errors in metadata keep their message and stack when secrets are redacted", () => {
+  setRedactedSecrets(["hunter2-password"]);
+  const error = new Error("login with hunter2-password failed");
+  const info = capture(() => logger.warn("request failed", { error }));
+  assert.equal(info.error.message, "login with [REDACTED] failed");
+  assert.match(info.error.stack, /^Error: login with \[REDACTED\] failed/);
+  setRedactedSecrets([]);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatNotification, describeApp, groupResultsByStatus } from "../src/notifier.js";
+
+const discord = { name: "WEBHOOK", type: "discord", url: "https://discord.test/api/webhooks/1/token" };
+const telegram = { name: "NOTIFY_1", type: "telegram", token: "123:abc", chatId: "42" };
+const gotify = { name: "NOTIFY_2", type: "gotify", url: "https://gotify.test/", token: "key" };
+
+/**
+ * Builds a digest notification with many claimed apps and failures
+ * @param {number} count - Number of claimed apps and of failures
+ * @returns {object} Digest notification
+ */
+function largeDigest(count) {
+  const claimed = [];
+  const failures = [];
+  for (let i = 1; i <= count; i++) {
+    claimed.push(describeApp({ name: `A game with a rather long name number ${i}`, type: "game", steam_appid: 100000 + i }, { type: "app", id: String(100000 + i) }));
+    failures.push({ code: `s/${i}`, status: "Fail/RateLimited" });
+  }
+  return {
+    type: "success",
+    message: "Claim digest",
+    digest: { statusCounts: { "OK/NoDetail": count, "Fail/RateLimited": count }, claimed, failures }
+  };
+}
+
+test("a license notification sends one Discord message per app", () => {
+  const license = { type: "sub", id: "456" };
+  const requests = formatNotification(discord, {
+    type: "success",
+    message: "Processed a new package!",
+    license: "s/456",
+    apps: [describeApp({ name: "Game", type: "game", steam_appid: 10 }, license), describeApp(null, license)],
+    results: groupResultsByStatus({ main: { status: "OK/NoDetail" }, alt: { status: "Fail/AlreadyPurchased" } })
+  });
+
+  assert.equal(requests.length, 2);
+  const embeds = requests.map(request => JSON.parse(request.options.body).embeds[0]);
+  assert.match(embeds[0].description, /Name: Game/);
+  assert.match(embeds[1].description, /from SubId: \[456\]/);
+  assert.deepEqual(embeds[0].fields, [{ name: "OK/NoDetail:", value: "main" }, { name: "Fail/AlreadyPurchased:", value: "alt" }]);
+});
+
+test("large Discord digests are split to the embed and character limits", () => {
+  const requests = formatNotification(discord, largeDigest(400));
+  assert.ok(requests.length > 1);
+
+  const descriptions = [];
+  for (const request of requests) {
+    const { embeds } = JSON.parse(request.options.body);
+    assert.ok(embeds.length <= 10);
+    assert.ok(embeds.reduce((sum, embed) => sum + embed.title.length + embed.description.length, 0) <= 6000);
+    for (const embed of embeds) {
+      assert.ok(embed.description.length <= 4096);
+      descriptions.push(embed.description);
+    }
+  }
+  const text = descriptions.join("\n");
+  assert.match(text, /A game with a rather long name number 400\]/);
+  assert.match(text, /s\/400: Fail\/RateLimited/);
+});
+
+test("text digests are split into messages below the target's limit", () => {
+  const requests = formatNotification(telegram, largeDigest(200));
+  assert.ok(requests.length > 1);
+  for (const request of requests) {
+    const body = JSON.parse(request.options.body);
+    assert.equal(request.url, "https://api.telegram.org/bot123:abc/sendMessage");
+    assert.ok(body.text.length <= 4096);
+    assert.ok(body.text.startsWith("<b>Claim digest</b>\n\n"));
+  }
+  assert.match(JSON.parse(requests[0].options.body).text, /<a href="https:\/\/store.steampowered.com\/app\/100001">/);
+});
+
+test("a digest line longer than the limit is cut", () => {
+  const notification = largeDigest(0);
+  notification.digest.failures.push({ code: "s/1", status: "x".repeat(20000) });
+  const messages = formatNotification(gotify, notification).map(request => {
+    assert.equal(request.url, "https://gotify.test/message");
+    return JSON.parse(request.options.body).message;
+  });
+
+  assert.deepEqual(messages.slice(0, -1), ["OK/NoDetail: 0\nFail/RateLimited: 0\n\nFailed (1):"]);
+  assert.equal(messages.at(-1).length, 10000);
+  assert.ok(messages.at(-1).endsWith("…"));
+});
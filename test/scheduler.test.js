@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyJitter, getNextRunTime, getQuietHoursEnd, isQuietTime, parseQuietHours, parseSchedule } from "../src/scheduler.js";
+
+test("jitter delays a run by up to the given minutes", () => {
+  const date = new Date("2026-10-19T06:00:00Z");
+  assert.equal(applyJitter(date, 0), date);
+  for (let i = 0; i < 100; i++) {
+    const delay = applyJitter(date, 10).getTime() - date.getTime();
+    assert.ok(delay >= 0 && delay < 10 * 60 * 1000);
+  }
+});
+
+test("a missed interval run after a restart is spread by the jitter", () => {
+  const from = new Date("2026-10-19T06:00:00Z");
+  const lastRunAt = new Date("2026-10-19T00:00:00Z").toISOString();
+  const delays = new Set();
+  for (let i = 0; i < 20; i++) {
+    const delay = getNextRunTime(parseSchedule("", 3), { from, lastRunAt, jitterMinutes: 30 }).getTime() - from.getTime();
+    assert.ok(delay >= 0 && delay < 30 * 60 * 1000);
+    delays.add(delay);
+  }
+  assert.ok(delays.size > 1);
+});
+
+test("cron expressions find the next matching minute", () => {
+  const from = new Date(2026, 9, 19, 7, 30); // Monday
+  assert.deepEqual(getNextRunTime(parseSchedule("0 */6 * * *", 3), { from }), new Date(2026, 9, 19, 12, 0));
+  assert.deepEqual(getNextRunTime(parseSchedule("15 9 * * 6,7", 3), { from }), new Date(2026, 9, 24, 9, 15));
+  assert.deepEqual(getNextRunTime(parseSchedule("5/20 7 * * *", 3), { from }), new Date(2026, 9, 19, 7, 45));
+  // A restricted day of month and day of week match if either does
+  assert.deepEqual(getNextRunTime(parseSchedule("0 0 1 * 3", 3), { from }), new Date(2026, 9, 21, 0, 0));
+});
+
+test("times of day and intervals are scheduled from the last run", () => {
+  const from = new Date(2026, 9, 19, 19, 0);
+  assert.deepEqual(getNextRunTime(parseSchedule("06:00, 18:30", 3), { from }), new Date(2026, 9, 20, 6, 0));
+  const lastRunAt = new Date(2026, 9, 19, 17, 0).toISOString();
+  assert.deepEqual(getNextRunTime(parseSchedule("", 3), { from, lastRunAt }), new Date(2026, 9, 19, 20, 0));
+});
+
+test("invalid schedules are rejected", () => {
+  assert.throws(() => parseSchedule("60 * * * *", 3), /Invalid minute/);
+  assert.throws(() => parseSchedule("0 * *", 3), /neither a 5-field cron expression/);
+  assert.throws(() => parseSchedule("24:00", 3), /Invalid time of day/);
+  assert.throws(() => parseQuietHours("23:00"), /not a time range/);
+});
+
+test("quiet hours can span midnight and postpone runs to their end", () => {
+  const quietHours = parseQuietHours("23:00-07:00");
+  assert.equal(isQuietTime(quietHours, new Date(2026, 9, 19, 23, 30)), true);
+  assert.equal(isQuietTime(quietHours, new Date(2026, 9, 19, 6, 59)), true);
+  assert.equal(isQuietTime(quietHours, new Date(2026, 9, 19, 7, 0)), false);
+  assert.deepEqual(getQuietHoursEnd(quietHours, new Date(2026, 9, 19, 23, 30)), new Date(2026, 9, 20, 7, 0));
+
+  const from = new Date(2026, 9, 19, 20, 0);
+  assert.deepEqual(getNextRunTime(parseSchedule("0 2 * * *", 3), { from, quietHours }), new Date(2026, 9, 20, 7, 0));
+  assert.equal(isQuietTime(parseQuietHours(""), from), false);
+});
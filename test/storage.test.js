@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, utimesSync, rmSync } from "fs";
+import { tmpdir, hostname } from "os";
+import { join } from "path";
+import { writeJsonFile, acquireStorageLock, releaseStorageLock } from "../src/storage.js";
+import { FatalError } from "../src/resilience.js";
+
+/**
+ * Creates an empty storage directory that is removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Path of the directory
+ */
+function tempStorage(t) {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+/**
+ * Sets the modification time of a file into the past
+ * @param {string} file - Path of the file
+ * @param {number} minutes - Minutes ago
+ */
+function age(file, minutes) {
+  const time = new Date(Date.now() - minutes * 60 * 1000);
+  utimesSync(file, time, time);
+}
+
+test("backups are rotated at most once an hour", t => {
+  const file = join(tempStorage(t), "claimQueue");
+  for (const version of [1, 2, 3, 4]) {
+    writeJsonFile(file, { version }, { backups: 3 });
+  }
+  assert.deepEqual(JSON.parse(readFileSync(file + ".1", "utf8")), { version: 1 });
+  assert.equal(existsSync(file + ".2"), false);
+
+  age(file + ".1", 61);
+  writeJsonFile(file, { version: 5 }, { backups: 3 });
+  assert.deepEqual(JSON.parse(readFileSync(file + ".1", "utf8")), { version: 4 });
+  assert.deepEqual(JSON.parse(readFileSync(file + ".2", "utf8")), { version: 1 });
+});
+
+test("a refreshed lock with the same hostname and PID is not taken over", t => {
+  const directory = tempStorage(t);
+  const file = join(directory, "lock");
+  writeFileSync(file, JSON.stringify({ pid: process.pid, hostname: hostname(), startedAt: new Date().toISOString(), id: "other" }));
+
+  assert.throws(() => acquireStorageLock(directory), FatalError);
+
+  age(file, 3);
+  acquireStorageLock(directory);
+  assert.notEqual(JSON.parse(readFileSync(file, "utf8")).id, "other");
+  releaseStorageLock();
+  assert.equal(existsSync(file), false);
+});
+
+test("a lock without heartbeat is taken over even if its PID is running on this host", t => {
+  const directory = tempStorage(t);
+  const file = join(directory, "lock");
+  writeFileSync(file, JSON.stringify({ pid: process.ppid, hostname: hostname(), startedAt: new Date().toISOString(), id: "crashed" }));
+
+  age(file, 3);
+  acquireStorageLock(directory);
+  assert.notEqual(JSON.parse(readFileSync(file, "utf8")).id, "crashed");
+  releaseStorageLock();
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { once } from "events";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { configureWebhookQueue, sendWebhook, redeliverDeadLetters, drainWebhookQueue, getWebhookQueueStats } from "../src/webhookQueue.js";
+
+/**
+ * Starts a webhook receiver on a free port that answers with the given statuses in turn, 200 once they are used up
+ * @param {object} t - Test context, the server is closed after the test
+ * @param {number[]} statuses - Response statuses
+ * @returns {Promise<{url: string, received: string[]}>} Webhook URL and the bodies received
+ */
+async function startReceiver(t, statuses) {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      received.push(body);
+      const status = statuses.length > 0 ? statuses.shift() : 200;
+      res.statusCode = status;
+      res.setHeader("Content-Type", "application/json");
+      res.end(status === 429 ? JSON.stringify({ retry_after: 0 }) : "{}");
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+/**
+ * Creates a dead-letter file path in a directory that is removed after the test
+ * @param {object} t - Test context
+ * @returns {string} Path of the dead-letter file
+ */
+function deadLetterFile(t) {
+  const directory = mkdtempSync(join(tmpdir(), "asfclaim-"));
+  t.after(() => rmSync(directory, { recursive: true, force: true }));
+  return join(directory, "webhookDeadLetters");
+}
+
+const message = body => ({ method: "post", body: JSON.stringify(body), headers: { "Content-Type": "application/json" } });
+
+test("a rate-limited webhook is retried after the delay Discord asks for", async t => {
+  const { url, received } = await startReceiver(t, [429]);
+  configureWebhookQueue({ deadLetterFile: null, retries: 1 });
+
+  await sendWebhook(url, message({ content: "hello" }));
+  assert.equal(received.length, 2);
+});
+
+test("undeliverable webhooks are kept and redelivered on the next start", async t => {
+  const file = deadLetterFile(t);
+  const failing = await startReceiver(t, [503]);
+  const failures = [];
+  configureWebhookQueue({ deadLetterFile: file, retries: 0, onFailure: host => failures.push(host) });
+
+  await assert.rejects(sendWebhook(failing.url, message({ content: "kept" })), { status: 503 });
+  assert.deepEqual(failures, [new URL(failing.url).host]);
+  const [letter] = JSON.parse(readFileSync(file, "utf8"));
+  assert.equal(letter.url, failing.url);
+  assert.equal(JSON.parse(letter.options.body).content, "kept");
+
+  // A restart loads the dead letters from the file again
+  configureWebhookQueue({ deadLetterFile: null, retries: 0 });
+  configureWebhookQueue({ deadLetterFile: file, retries: 0 });
+  assert.equal(getWebhookQueueStats().deadLetters, 1);
+  assert.equal(redeliverDeadLetters(), 1);
+  assert.equal(await drainWebhookQueue(5000), 0);
+
+  assert.deepEqual(failing.received.map(body => JSON.parse(body).content), ["kept", "kept"]);
+  assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), []);
+});
+
+test("webhooks rejected for good are not kept", async t => {
+  const file = deadLetterFile(t);
+  const { url, received } = await startReceiver(t, [404]);
+  configureWebhookQueue({ deadLetterFile: file, retries: 3 });
+
+  await assert.rejects(sendWebhook(url, message({ content: "gone" })), { status: 404 });
+  assert.equal(received.length, 1);
+  assert.equal(getWebhookQueueStats().deadLetters, 0);
+});